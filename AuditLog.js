@@ -0,0 +1,34 @@
+// models/AuditLog.js
+const mongoose = require('mongoose');
+
+// One entry per staff action, written by the admin and question bank routes
+const auditLogSchema = new mongoose.Schema({
+    actorId: { type: String, required: true },
+    actorUsername: { type: String, required: true },
+    actorRole: { type: String, required: true },
+    action: { type: String, required: true }, // e.g. 'user.penalize', 'lobby.close', 'question.create'
+    targetType: { type: String, enum: ['user', 'lobby', 'question', 'code', 'season', 'tournament', 'report'], required: true },
+    targetId: { type: String, default: null }, // null for bulk actions such as imports
+    reason: { type: String, default: '' },
+    details: { type: mongoose.Schema.Types.Mixed, default: {} } // Before/after values etc.
+}, { timestamps: true });
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+
+// Record an action by the staff member on `req` (after auth + requireRole)
+auditLogSchema.statics.record = function (req, { action, targetType, targetId = null, reason = '', details = {} }) {
+    return this.create({
+        actorId: req.user.id,
+        actorUsername: req.user.username,
+        actorRole: req.user.role,
+        action,
+        targetType,
+        targetId,
+        reason,
+        details
+    });
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,30 @@
+// models/ChatReport.js
+const mongoose = require('mongoose');
+
+const REPORT_STATUSES = ['open', 'dismissed', 'actioned'];
+
+// A chat message reported by a player, for staff to review through the admin API.
+// The message is copied here because lobby chat history is capped and lobbies are deleted.
+const chatReportSchema = new mongoose.Schema({
+    lobbyId: { type: String, required: true },
+    channel: { type: String, enum: ['lobby', 'spectator'], required: true },
+    messageId: { type: String, required: true }, // _id of the message in the lobby's chat
+    message: { type: String, required: true }, // As it was shown, i.e. after the word filter
+    senderId: { type: String, required: true },
+    senderName: { type: String, required: true },
+    sentAt: { type: Date, default: null },
+    reporterId: { type: String, required: true },
+    reporterName: { type: String, required: true },
+    reason: { type: String, default: '' },
+    status: { type: String, enum: REPORT_STATUSES, default: 'open' },
+    reviewedBy: { type: String, default: null }, // Staff username
+    reviewedAt: { type: Date, default: null },
+    resolution: { type: String, default: '' } // Staff note
+}, { timestamps: true });
+
+chatReportSchema.index({ messageId: 1, reporterId: 1 }, { unique: true }); // One report per message per player
+chatReportSchema.index({ status: 1, createdAt: -1 });
+chatReportSchema.index({ senderId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ChatReport', chatReportSchema);
+module.exports.REPORT_STATUSES = REPORT_STATUSES;
@@ -0,0 +1,35 @@
+// models/GameEvent.js
+const mongoose = require('mongoose');
+
+const GAME_EVENT_TYPES = [
+    'gameStarted', // Players, lives, dealt cards and loadouts
+    'turnStarted', // Whose turn it is and the question
+    'answer', // Submitted answer (or timeout) and the verdict
+    'shieldAbsorbed', // A Shield item or Golden Defense turned a wrong answer into a safe one
+    'cardPlayed',
+    'itemUsed', // Instant shop abilities (Hint)
+    'eliminated',
+    'cardsDistributed', // Frenzy Mode hands out a card to everyone
+    'playerLeft', // Left a running game, which forfeits it
+    'playerDisconnected',
+    'playerReconnected',
+    'forfeited', // Did not reconnect within the grace period, or removed for inactivity
+    'gameEnded' // Final standings
+];
+
+// Ordered replay log of one game. `seq` comes from the lobby, so events of a game sort by it
+// even if their writes land out of order.
+const gameEventSchema = new mongoose.Schema({
+    gameId: { type: String, required: true },
+    lobbyId: { type: String, required: true },
+    seq: { type: Number, required: true },
+    turnNumber: { type: Number, required: true }, // 0 for setup before the first turn
+    type: { type: String, enum: GAME_EVENT_TYPES, required: true },
+    playerId: { type: String, default: null }, // Acting player, if any
+    data: { type: mongoose.Schema.Types.Mixed, default: {} }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+gameEventSchema.index({ gameId: 1, seq: 1 }, { unique: true });
+
+module.exports = mongoose.model('GameEvent', gameEventSchema);
+module.exports.GAME_EVENT_TYPES = GAME_EVENT_TYPES;
@@ -1,10 +1,29 @@
 // routes/lobby.js (Combined Model and Routes)
+const { EventEmitter } = require('events');
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose'); // Import mongoose here
 const User = require('../models/User'); // User model is still separate
 const { io } = require('../server'); // Import the Socket.IO instance
-const jwt = require('jsonwebtoken'); // For auth middleware
+const Question = require('../models/Question');
+const auth = require('../middleware/auth');
+const { userRoom } = require('../middleware/auth');
+const { computeRatingChanges } = require('../utils/elo');
+const { matchAnswer, canonicalAnswer } = require('../utils/answerMatcher');
+const { getSoloEvaluator, EvaluatorUnavailableError } = require('../services/evaluators');
+const soloStages = require('../config/soloStages');
+const { shopItems, exclusiveTitles, findShopItem, isConsumable, MAX_CONSUMABLE_STACK, MAX_LOADOUT_PER_ITEM } = require('../config/shopCatalog');
+const RedeemCode = require('../models/RedeemCode');
+const TokenTransaction = require('../models/TokenTransaction');
+const Match = require('../models/Match');
+const GameEvent = require('../models/GameEvent');
+const { createRateLimiter } = require('../utils/rateLimit');
+const { randomCode } = require('../utils/randomCode');
+const { createWordFilter } = require('../utils/wordFilter');
+const ChatReport = require('../models/ChatReport');
+const {
+    MAX_CHAT_MESSAGE_LENGTH, MAX_CHAT_HISTORY, CHAT_RATE_LIMIT, REPORT_RATE_LIMIT, MAX_LOBBY_MUTE_MINUTES, BLOCKED_WORDS
+} = require('../config/chatModeration');
 
 // Define Lobby Schema and Model directly in this file
 const playerInLobbySchema = new mongoose.Schema({
@@ -12,6 +31,7 @@ const playerInLobbySchema = new mongoose.Schema({
     name: { type: String, required: true },
     isReady: { type: Boolean, default: false },
     type: { type: String, enum: ['human', 'bot'], required: true },
+    botDifficulty: { type: String, enum: ['easy', 'medium', 'hard'], default: undefined }, // Bots only
     elo: { type: Number, default: 0 },
     casualPoints: { type: Number, default: 0 },
     lives: { type: Number, default: 3 }, // Current lives in game
@@ -20,14 +40,44 @@ const playerInLobbySchema = new mongoose.Schema({
     roundTotalAnswers: { type: Number, default: 0 },
     cards: { type: [{ id: String, name: String }], default: [] }, // Ability cards in hand
     shields: { type: Number, default: 0 },
-    goldenDefenseUsed: { type: Boolean, default: false }
+    goldenDefenseUsed: { type: Boolean, default: false },
+    loadout: { type: Map, of: Number, default: {} }, // Shop abilities brought into the game -> uses left
+    connected: { type: Boolean, default: true }, // Humans only; false while their sockets are gone
+    disconnectedAt: { type: Date, default: null }, // Start of the reconnect grace period
+    forfeited: { type: Boolean, default: false } // Left, timed out or never came back: placed last
 }, { _id: false }); // Do not create _id for subdocuments
 
+// Messages keep their _id so players can report them (POST /:lobbyId/chat/:messageId/report)
 const chatMessageSchema = new mongoose.Schema({
     senderId: { type: String, required: true },
     senderName: { type: String, required: true },
-    message: { type: String, required: true },
+    message: { type: String, required: true }, // After the word filter
     timestamp: { type: Date, default: Date.now }
+});
+
+const spectatorSchema = new mongoose.Schema({
+    id: { type: String, required: true }, // User ID
+    name: { type: String, required: true },
+    joinedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// A direct invite from a player to a friend, see POST /:lobbyId/invites
+const lobbyInviteSchema = new mongoose.Schema({
+    userId: { type: String, required: true }, // Invitee
+    invitedBy: { type: String, required: true },
+    invitedByName: { type: String, required: true },
+    expiresAt: { type: Date, required: true }
+}, { _id: false });
+
+const matchResultSchema = new mongoose.Schema({
+    id: { type: String, required: true },
+    name: { type: String, required: true },
+    type: { type: String, enum: ['human', 'bot'], required: true },
+    placement: { type: Number, required: true }, // 1 = winner
+    eloBefore: { type: Number, default: 0 },
+    eloAfter: { type: Number, default: 0 },
+    eloDelta: { type: Number, default: 0 }, // Only non-zero in ranked lobbies
+    tokensEarned: { type: Number, default: 0 }
 }, { _id: false });
 
 const lobbySchema = new mongoose.Schema({
@@ -42,60 +92,49 @@ const lobbySchema = new mongoose.Schema({
     players: { type: [playerInLobbySchema], default: [] },
     maxPlayers: { type: Number, required: true },
     gameStarted: { type: Boolean, default: false },
-    chatMessages: { type: [chatMessageSchema], default: [] },
+    gameId: { type: String, default: null }, // New for every game, becomes the Match's gameId
+    gameStartedAt: { type: Date, default: null },
+    eventSeq: { type: Number, default: 0 }, // Last GameEvent seq of the current game
+    chatMessages: { type: [chatMessageSchema], default: [] }, // Last MAX_CHAT_HISTORY messages, appended to with $push
+    allowSpectators: { type: Boolean, default: true }, // Host setting
+    isPrivate: { type: Boolean, default: false }, // Unlisted; joining needs joinCode
+    joinCode: { type: String, default: null, select: false }, // Only shown to members, see GET /:lobbyId/join-code
+    isLocked: { type: Boolean, default: false }, // Host setting, nobody new can join
+    bannedIds: { type: [String], default: [] }, // Kicked with ban: can neither join nor spectate
+    chatMutes: { type: [{ userId: String, until: Date, _id: false }], default: [] }, // Set by the host, see POST /:lobbyId/mute
+    invites: { type: [lobbyInviteSchema], default: [] }, // An unexpired invite gets past isLocked and isPrivate
+    spectators: { type: [spectatorSchema], default: [] }, // Watching, not taking a maxPlayers slot
+    // Never loaded with the lobby (so players can't read it); appended to with $push
+    spectatorChat: { type: [chatMessageSchema], default: [], select: false },
     isRanked: { type: Boolean, default: false },
     isCustom: { type: Boolean, default: false },
+    tournamentId: { type: String, default: null }, // Match lobby of a tournament, which seats and starts it
     isFrenzyMode: { type: Boolean, default: false }, // Custom mode setting
     initialLives: { type: Number, default: 3 }, // Custom mode setting
     questionTimer: { type: Number, default: 30 }, // Custom mode setting
     playerCycles: { type: Number, default: 0 }, // For card distribution in custom mode
     currentQuestionIndex: { type: Number, default: 0 }, // Game state
     currentPlayerIndex: { type: Number, default: 0 }, // Game state
-    questions: { type: [{ q: String, a: String, hint: String }], default: [] }, // Questions for the current game
+    turnNumber: { type: Number, default: 0 }, // Increments every turn, guards stale timeouts
+    resolvedTurn: { type: Number, default: 0 }, // Last turnNumber claimed for resolution, see claimTurn
+    turnDeadline: { type: Date, default: null }, // Server-side deadline for the current turn
+    questionCategory: { type: String, default: null }, // Lobby setting, null draws from every category
+    questionDifficulty: { type: String, default: null }, // Lobby setting, null draws from every difficulty
+    questionCount: { type: Number, default: 30 }, // Lobby setting, questions drawn per game
+    questions: { type: [{ questionId: String, q: String, a: String, answers: [String], matchMode: String, hint: String }], default: [] }, // Questions for the current game; a is the canonical answer
+    eliminatedPlayers: { type: [playerInLobbySchema], default: [] }, // In order of elimination, for placements
+    results: { type: [matchResultSchema], default: [] }, // Final standings of the last game
 }, { timestamps: true });
 
-const Lobby = mongoose.model('Lobby', lobbySchema); // Define the Lobby model here
-
-// Export the Lobby model so server.js can access it for inactivity cleanup
-module.exports.Lobby = Lobby;
+lobbySchema.index({ joinCode: 1 }, { sparse: true });
 
-// Middleware to verify JWT (same as in auth.js, or import from a central middleware file)
-const auth = (req, res, next) => {
-    const token = req.header('x-auth-token');
-    if (!token) {
-        return res.status(401).json({ msg: 'No token, authorization denied' });
-    }
-    try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded.user;
-        next();
-    } catch (e) {
-        res.status(401).json({ msg: 'Token is not valid' });
-    }
-};
+const Lobby = mongoose.model('Lobby', lobbySchema); // Define the Lobby model here
 
 // Helper function to generate a simple unique ID
 const generateLobbyId = (prefix) => {
     return `${prefix}-${Math.random().toString(36).substring(2, 8)}`;
 };
 
-// Pre-defined game questions (move to a config file if grows large)
-const originalQuestions = [
-    { q: "What is the output of: cout << 2 + 2;", a: "4" },
-    { q: "Which keyword is used for constant?", a: "const" },
-    { q: "How many bytes is an int?", a: "4" },
-    { q: "C++ pointer access operator?", a: "->" },
-    { q: "Declare a pointer to int", a: "int* ptr;" }
-];
-
-const fillInBlanksQuestions = [
-    { q: "int main() { cout << \"Hello, ___\"; return 0; }", a: "world", hint: "Common greeting" },
-    { q: "int ___ = 10;", a: "x", hint: "A common variable name" },
-    { q: "for (int i = 0; i < ___; i++)", a: "10", hint: "A typical loop limit" },
-    { q: "class MyClass { public: MyClass() { /* constructor */ } };", a: "MyClass", hint: "Name of the class" },
-    { q: "std::string ___ = \"C++\";", a: "language", hint: "What is C++?" }
-];
-
 const abilityCards = [
     { id: 'card_copy', name: 'Copy', description: 'Copy 1 card from another player (randomly chosen from available types).', icon: '<svg class="card-icon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor"><path d="M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9-2-2V7c0-1.1-.9-2-2-2zm0 16H8V7h11v14z"/></svg>' },
     { id: 'card_control', name: 'Control', description: 'Skip your turn to play safe, or pick another player to start their turn.', icon: '<svg class="card-icon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-1 14H9V8h2v8zm4 0h-2V8h2v8z"/></svg>' },
@@ -104,6 +143,1019 @@ const abilityCards = [
     { id: 'card_evolved_meta_vision', name: 'Evolved Meta Vision', description: 'Receive a clue for the current question.', icon: '<svg class="card-icon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm1 15h-2v-6h2v6zm0-8h-2V7h2v2z"/></svg>' }
 ];
 
+// How bots play at each difficulty: chance to answer correctly, how long they "think"
+// before answering, and how eagerly they play ability cards in Frenzy Mode
+const BOT_DIFFICULTIES = {
+    easy: { accuracy: 0.45, minThinkMs: 4000, maxThinkMs: 9000, cardChance: 0.15 },
+    medium: { accuracy: 0.7, minThinkMs: 3000, maxThinkMs: 7000, cardChance: 0.3 },
+    hard: { accuracy: 0.9, minThinkMs: 2000, maxThinkMs: 5000, cardChance: 0.5 }
+};
+const EVOLVED_META_VISION_BONUS = 0.2; // A clue makes a bot this much more likely to be right
+
+const MAX_SHIELDS = 2;
+// Cards that act on the current turn/question and so can only be played by the player in turn
+const TURN_ONLY_CARDS = ['card_control', 'card_evolved_meta_vision'];
+
+// Lets services follow lobbies without this file requiring them (see services/tournamentRunner.js):
+//   'readyChanged' (lobby) - a player toggled ready
+//   'gameEnded' (lobby)    - a game finished; lobby.results holds the standings and is saved
+//   'lobbyClosed' (lobby)  - the lobby was deleted (see closeLobby), possibly mid-game
+const lobbyEvents = new EventEmitter();
+
+// Send an event only to the sockets of a single user (e.g. private card reveals)
+const emitToUser = (userId, event, payload) => {
+    io.to(userRoom(userId)).emit(event, payload);
+};
+
+// Spectators get their own room, so they only ever receive lobbyView()s of the lobby
+const spectatorRoom = (lobbyId) => `spectators:${lobbyId}`;
+
+// The lobby as `viewerId` sees it: their own hand and loadout, only a card count for everyone
+// else, and no answers, hints or upcoming questions (only the text of the one being asked).
+// Without a viewer (spectators, lobby lists) no hand is shown at all.
+const lobbyView = (lobby, viewerId = null) => {
+    const view = lobby.toJSON();
+    const hideHand = (player) => {
+        if (player.id === viewerId) return player;
+        const { cards, loadout, ...rest } = player;
+        return { ...rest, cardCount: (cards || []).length };
+    };
+    view.players = view.players.map(hideHand);
+    view.eliminatedPlayers = view.eliminatedPlayers.map(hideHand);
+    view.questions = view.questions.map((question, index) => (
+        view.gameStarted && index === view.currentQuestionIndex ? { q: question.q } : {}
+    ));
+    return view;
+};
+
+// Events that are safe for everyone watching the lobby (chat, turn clock)
+const emitToLobby = (lobbyId, event, payload) => {
+    io.to([lobbyId, spectatorRoom(lobbyId)]).emit(event, payload);
+};
+
+// Send the lobby itself (lobbyUpdated, gameStarted, gameEnded): each player (eliminated
+// ones too) gets their own view in their user room, spectators a view without hands
+const emitLobbyState = (lobby, event = 'lobbyUpdated') => {
+    [...lobby.players, ...lobby.eliminatedPlayers].filter(p => p.type === 'human').forEach(player => {
+        emitToUser(player.id, event, lobbyView(lobby, player.id));
+    });
+    if (lobby.spectators.length > 0) {
+        io.to(spectatorRoom(lobby.lobbyId)).emit(event, lobbyView(lobby));
+    }
+};
+
+// Append an event to the current game's replay log. Callers don't wait for the write:
+// `seq` is taken from the lobby (and saved with it), so the log stays in order regardless.
+const logGameEvent = (lobby, type, playerId = null, data = {}) => {
+    if (!lobby.gameId) return;
+    lobby.eventSeq++;
+    GameEvent.create({ gameId: lobby.gameId, lobbyId: lobby.lobbyId, seq: lobby.eventSeq, turnNumber: lobby.turnNumber, type, playerId, data })
+        .catch(err => console.error(`Error logging ${type} event for game ${lobby.gameId}:`, err.message));
+};
+
+// Move the turn to the next living player and the next question
+const advanceTurn = (lobby) => {
+    lobby.currentPlayerIndex = (lobby.currentPlayerIndex + 1) % lobby.players.length;
+    // Skip eliminated players
+    while (lobby.players[lobby.currentPlayerIndex] && lobby.players[lobby.currentPlayerIndex].lives <= 0) {
+        lobby.currentPlayerIndex = (lobby.currentPlayerIndex + 1) % lobby.players.length;
+    }
+
+    // Move to next question after each turn
+    lobby.currentQuestionIndex++;
+    if (lobby.currentQuestionIndex >= lobby.questions.length) {
+        lobby.currentQuestionIndex = 0; // Loop questions for continuous play
+    }
+};
+
+// Clue for Evolved Meta Vision and the Hint item: the authored hint, or the answer's shape
+const questionClue = (question) => {
+    return question.hint
+        ? question.hint
+        : `The answer is ${question.a.length} character(s) long and starts with "${question.a.charAt(0)}".`;
+};
+
+// Atomically take one of `itemId` from a user's consumables. Returns false if they have none left.
+const spendConsumable = async (userId, itemId) => {
+    const updated = await User.findOneAndUpdate(
+        { _id: userId, [`consumables.${itemId}`]: { $gte: 1 } },
+        { $inc: { [`consumables.${itemId}`]: -1 } }
+    );
+    return !!updated;
+};
+
+const refundConsumable = (userId, itemId) => User.updateOne({ _id: userId }, { $inc: { [`consumables.${itemId}`]: 1 } });
+
+// Validate and apply an ability card played by `player`.
+// Returns { error } without touching the lobby if the play is not legal,
+// otherwise removes the card from the player's hand, applies its effect and
+// returns { message, reveal } where `reveal` is private to the player (or null).
+// The caller logs the play (logCardPlay) once it is sure to be stored.
+const applyCardEffect = (lobby, player, cardId, options = {}) => {
+    const { targetPlayerId, controlAction = 'skip' } = options;
+
+    if (!lobby.isFrenzyMode) {
+        return { error: 'Ability cards can only be played in Frenzy Mode.' };
+    }
+    const cardIndex = player.cards.findIndex(c => c.id === cardId);
+    if (cardIndex === -1) {
+        return { error: 'You do not have that card.' };
+    }
+    const isPlayersTurn = lobby.players[lobby.currentPlayerIndex] && lobby.players[lobby.currentPlayerIndex].id === player.id;
+    if (TURN_ONLY_CARDS.includes(cardId) && !isPlayersTurn) {
+        return { error: 'This card can only be played during your turn.' };
+    }
+
+    const opponents = lobby.players.filter(p => p.id !== player.id && p.lives > 0);
+    const cardName = player.cards[cardIndex].name;
+    let message = `${player.name} played ${cardName}!`;
+    let reveal = null;
+
+    switch (cardId) {
+        case 'card_copy': {
+            const candidates = opponents.filter(p => p.cards.length > 0);
+            let target;
+            if (targetPlayerId) {
+                target = candidates.find(p => p.id === targetPlayerId);
+                if (!target) return { error: 'That player has no cards to copy.' };
+            } else {
+                if (candidates.length === 0) return { error: 'No opponent has a card to copy.' };
+                target = candidates[Math.floor(Math.random() * candidates.length)];
+            }
+            const copied = target.cards[Math.floor(Math.random() * target.cards.length)];
+            player.cards.splice(cardIndex, 1);
+            player.cards.push({ id: copied.id, name: copied.name });
+            message = `${player.name} copied a card from ${target.name}!`;
+            reveal = { copiedCard: { id: copied.id, name: copied.name }, fromPlayerId: target.id };
+            break;
+        }
+        case 'card_control': {
+            if (controlAction === 'pass') {
+                const targetIndex = lobby.players.findIndex(p => p.id === targetPlayerId);
+                const target = lobby.players[targetIndex];
+                if (!target || target.id === player.id || target.lives <= 0) {
+                    return { error: 'Choose another player still in the game.' };
+                }
+                player.cards.splice(cardIndex, 1);
+                lobby.currentPlayerIndex = targetIndex; // Same question, new player
+                message = `${player.name} used Control and handed the turn to ${target.name}!`;
+            } else if (controlAction === 'skip') {
+                player.cards.splice(cardIndex, 1);
+                advanceTurn(lobby);
+                message = `${player.name} used Control and skipped their turn!`;
+            } else {
+                return { error: 'Control action must be "skip" or "pass".' };
+            }
+            break;
+        }
+        case 'card_golden_defense': {
+            if (player.goldenDefenseUsed) {
+                return { error: 'Golden Defense can only be used once per game.' };
+            }
+            if (player.shields >= MAX_SHIELDS) {
+                return { error: `You already have the maximum of ${MAX_SHIELDS} shields.` };
+            }
+            player.cards.splice(cardIndex, 1);
+            player.shields = Math.min(MAX_SHIELDS, player.shields + 2);
+            player.goldenDefenseUsed = true;
+            message = `${player.name} activated Golden Defense! Shields: ${player.shields}`;
+            break;
+        }
+        case 'card_meta_vision': {
+            player.cards.splice(cardIndex, 1);
+            reveal = {
+                hands: opponents.map(p => ({ id: p.id, name: p.name, cards: p.cards.map(c => ({ id: c.id, name: c.name })) }))
+            };
+            break;
+        }
+        case 'card_evolved_meta_vision': {
+            const currentQuestion = lobby.questions[lobby.currentQuestionIndex];
+            if (!currentQuestion) {
+                return { error: 'There is no active question.' };
+            }
+            player.cards.splice(cardIndex, 1);
+            reveal = { clue: questionClue(currentQuestion) };
+            break;
+        }
+        default:
+            return { error: 'Unknown card.' };
+    }
+
+    return { message, reveal };
+};
+
+const logCardPlay = (lobby, player, cardId, { targetPlayerId, controlAction = 'skip' }, { message, reveal }) => {
+    logGameEvent(lobby, 'cardPlayed', player.id, { cardId, targetPlayerId: targetPlayerId || null, controlAction, message, reveal });
+};
+
+// Why `userId` can't play `cardId` right now, or null. Checked on a copy, so nothing changes.
+const cardPlayError = (lobby, userId, cardId, options) => {
+    const copy = Lobby.hydrate(lobby.toObject());
+    return applyCardEffect(copy, copy.players.find(p => p.id === userId), cardId, options).error || null;
+};
+
+// Store a card play that doesn't end the turn. It only changes the player's own hand and
+// shields, so just those are written, and only while the turn is not being resolved and
+// nothing else was logged since the lobby was read (eventSeq). So it can't overwrite a turn's
+// outcome or another card play, nor be overwritten by them: claimTurn picks up hands stored
+// before the claim, and bumping the version makes saves that rewrite the players array fail.
+// Returns false if the lobby moved on; the play is then not stored.
+const saveCardPlay = async (lobby, player) => {
+    const { cards, shields, goldenDefenseUsed } = player.toObject();
+    const played = await Lobby.updateOne(
+        { _id: lobby._id, gameStarted: true, turnNumber: lobby.turnNumber, resolvedTurn: { $ne: lobby.turnNumber }, eventSeq: lobby.eventSeq },
+        {
+            $set: { 'players.$[me].cards': cards, 'players.$[me].shields': shields, 'players.$[me].goldenDefenseUsed': goldenDefenseUsed },
+            $inc: { eventSeq: 1, __v: 1 }
+        },
+        { arrayFilters: [{ 'me.id': player.id }] }
+    );
+    return played.modifiedCount > 0;
+};
+
+// Grace period for answers that were sent just before the deadline but arrived late
+const TURN_GRACE_MS = 1000;
+
+// Pending turn timeouts and bot moves, keyed by lobbyId
+const turnTimers = new Map();
+const botTimers = new Map();
+
+const clearTurnTimer = (lobbyId) => {
+    [turnTimers, botTimers].forEach(timers => {
+        const pending = timers.get(lobbyId);
+        if (pending) {
+            clearTimeout(pending);
+            timers.delete(lobbyId);
+        }
+    });
+};
+
+// Fires once the grace period is over too, so answers /answer still accepts are not cut off
+const scheduleTurnTimeout = (lobbyId, turnNumber, deadline) => {
+    clearTurnTimer(lobbyId);
+    const delay = Math.max(0, new Date(deadline).getTime() + TURN_GRACE_MS - Date.now());
+    turnTimers.set(lobbyId, setTimeout(() => handleTurnTimeout(lobbyId, turnNumber), delay));
+};
+
+// Bots answer after a random "thinking" delay, always before their deadline
+const scheduleBotTurn = (lobby) => {
+    const player = lobby.players[lobby.currentPlayerIndex];
+    if (!player || player.type !== 'bot') return;
+    const profile = BOT_DIFFICULTIES[player.botDifficulty] || BOT_DIFFICULTIES.medium;
+    const thinkMs = profile.minThinkMs + Math.random() * (profile.maxThinkMs - profile.minThinkMs);
+    const latestMs = new Date(lobby.turnDeadline).getTime() - Date.now() - TURN_GRACE_MS;
+    const { lobbyId, turnNumber } = lobby;
+    botTimers.set(lobbyId, setTimeout(() => playBotTurn(lobbyId, turnNumber), Math.max(0, Math.min(thinkMs, latestMs))));
+};
+
+// A disconnected player keeps their seat this long before forfeiting. Meanwhile their
+// turns time out after DISCONNECTED_TURN_SECONDS instead of the full question timer.
+const RECONNECT_GRACE_MS = 60 * 1000;
+const DISCONNECTED_TURN_SECONDS = 3;
+
+// Pending forfeits of disconnected players, keyed by `${lobbyId}:${userId}`
+const forfeitTimers = new Map();
+
+// An answer, the timeout, a bot move, Control and a forfeit can all end the current turn.
+// Each claims it first, so whichever comes second backs off instead of resolving the turn
+// again. Returns false if the turn was already claimed (or the game is over).
+// Card plays stored since the lobby was read (see saveCardPlay) are copied in, so saving
+// the turn's outcome keeps them.
+const claimTurn = async (lobby) => {
+    const claimed = await Lobby.findOneAndUpdate(
+        { _id: lobby._id, gameStarted: true, turnNumber: lobby.turnNumber, resolvedTurn: { $ne: lobby.turnNumber } },
+        { $set: { resolvedTurn: lobby.turnNumber } },
+        { new: true, projection: { eventSeq: 1, 'players.id': 1, 'players.cards': 1, 'players.shields': 1, 'players.goldenDefenseUsed': 1 } }
+    ).lean();
+    if (!claimed) return false;
+    lobby.resolvedTurn = lobby.turnNumber;
+    if (claimed.eventSeq !== lobby.eventSeq) {
+        lobby.eventSeq = claimed.eventSeq;
+        claimed.players.forEach(stored => {
+            const player = lobby.players.find(p => p.id === stored.id);
+            if (!player) return;
+            player.cards = stored.cards;
+            player.shields = stored.shields;
+            player.goldenDefenseUsed = stored.goldenDefenseUsed;
+        });
+    }
+    return true;
+};
+
+// Run `work`, the rest of a turn claimed with claimTurn. If it fails before the next turn
+// (or the game's end) is saved, the claim is handed back and the turn's timeout re-armed,
+// so the timeout resolves the turn instead of the game freezing.
+const runClaimedTurn = async (lobby, work) => {
+    const { turnNumber, turnDeadline } = lobby;
+    try {
+        return await work();
+    } catch (err) {
+        await releaseTurn(lobby, turnNumber, turnDeadline);
+        throw err;
+    }
+};
+
+// Hand back a claimed turn that was not saved as resolved, and re-arm its timeout
+const releaseTurn = async (lobby, turnNumber, turnDeadline) => {
+    try {
+        const released = await Lobby.updateOne(
+            { _id: lobby._id, gameStarted: true, turnNumber, resolvedTurn: turnNumber },
+            { $set: { resolvedTurn: turnNumber - 1 } }
+        );
+        if (released.modifiedCount > 0) scheduleTurnTimeout(lobby.lobbyId, turnNumber, turnDeadline || new Date());
+    } catch (err) {
+        console.error(`Error releasing turn ${turnNumber} of lobby ${lobby.lobbyId}:`, err.message);
+    }
+};
+
+// Start the clock for the player whose turn it now is. The caller saves the lobby.
+const startTurn = (lobby) => {
+    const player = lobby.players[lobby.currentPlayerIndex];
+    const seconds = player && player.connected === false ? DISCONNECTED_TURN_SECONDS : lobby.questionTimer;
+    lobby.turnNumber++;
+    lobby.turnDeadline = new Date(Date.now() + seconds * 1000);
+    const question = lobby.questions[lobby.currentQuestionIndex];
+    logGameEvent(lobby, 'turnStarted', player ? player.id : null, {
+        questionIndex: lobby.currentQuestionIndex,
+        q: question ? question.q : null,
+        turnDeadline: lobby.turnDeadline
+    });
+    scheduleTurnTimeout(lobby.lobbyId, lobby.turnNumber, lobby.turnDeadline);
+    scheduleBotTurn(lobby);
+};
+
+// Clients render the countdown from this rather than from their own clock.
+// serverTime lets them correct for clock skew.
+const emitTurnStarted = (lobby) => {
+    emitToLobby(lobby.lobbyId, 'turnStarted', {
+        lobbyId: lobby.lobbyId,
+        turnNumber: lobby.turnNumber,
+        currentPlayerIndex: lobby.currentPlayerIndex,
+        currentQuestionIndex: lobby.currentQuestionIndex,
+        turnDeadline: lobby.turnDeadline,
+        serverTime: Date.now()
+    });
+};
+
+// Apply the outcome of `player`'s turn: shields, lives, score, global user stats,
+// elimination, game end (and winner tokens), then move on to the next turn.
+// `answer` and `verdict` are the submitted text and its matchAnswer result; `items` are the
+// shop abilities spent with the answer ({ doublePoints, shield }). Returns { gameOver }.
+// Does not save the lobby; see commitTurn.
+const resolveTurn = async (lobby, player, isCorrect, { timedOut = false, answer = null, verdict = null, items = {} } = {}) => {
+    const { lobbyId } = lobby;
+    const currentQuestion = lobby.questions[lobby.currentQuestionIndex];
+    let actualIsCorrect = isCorrect;
+
+    logGameEvent(lobby, 'answer', player.id, {
+        questionIndex: lobby.currentQuestionIndex,
+        q: currentQuestion.q,
+        answer,
+        isCorrect,
+        timedOut,
+        matchedAnswer: verdict ? verdict.matchedAnswer : null,
+        canonicalAnswer: currentQuestion.a,
+        matchMode: currentQuestion.matchMode || null,
+        items,
+        bot: player.type === 'bot'
+    });
+
+    // A Shield item was spent on this answer, so it absorbs the hit before Golden Defense shields do
+    if (!isCorrect && items.shield) {
+        actualIsCorrect = true;
+        logGameEvent(lobby, 'shieldAbsorbed', player.id, { source: 'ability_shield', shieldsLeft: player.shields });
+        emitToLobby(lobbyId, 'chatMessage', { senderName: 'Game System', message: `${player.name}'s Shield blocked the wrong answer!` });
+    } else if (!isCorrect && player.shields > 0) { // Apply Golden Defense logic
+        player.shields--;
+        actualIsCorrect = true; // Treat as correct for life deduction purposes
+        logGameEvent(lobby, 'shieldAbsorbed', player.id, { source: 'card_golden_defense', shieldsLeft: player.shields });
+        emitToLobby(lobbyId, 'chatMessage', { senderName: 'Game System', message: `${player.name}'s Golden Defense absorbed the hit! Shields remaining: ${player.shields}` });
+    }
+
+    player.roundTotalAnswers++;
+    if (actualIsCorrect) {
+        player.roundCorrectAnswers++;
+        player.currentRoundScore += isCorrect && items.doublePoints ? 200 : 100; // Base score for correct answer
+        if (isCorrect) {
+            // Show the canonical form when an alternative answer was accepted
+            const alternative = verdict && verdict.matchedAnswer !== verdict.canonicalAnswer;
+            const message = alternative
+                ? `${player.name} answered correctly! The answer was "${currentQuestion.a}".`
+                : `${player.name} answered correctly!`;
+            emitToLobby(lobbyId, 'chatMessage', { senderName: 'Game System', message });
+        }
+    } else {
+        player.lives--;
+        player.currentRoundScore -= 50; // Penalty for wrong answer
+        const reason = timedOut ? 'ran out of time' : 'answered incorrectly';
+        emitToLobby(lobbyId, 'chatMessage', { senderName: 'Game System', message: `${player.name} ${reason}! The answer was "${currentQuestion.a}".` });
+    }
+
+    // Update global user stats in User model (Elo is rated once per match, in finishGame)
+    const user = player.type === 'human' ? await User.findById(player.id) : null;
+    if (user) {
+        if (lobby.isRanked) {
+            user.rankedTotalAnswers++;
+            if (isCorrect) { // Only original correctness affects ranked stats
+                user.rankedCorrectAnswers++;
+            }
+        } else { // Casual or Custom match
+            user.casualTotalAnswers++;
+            if (isCorrect) { // Only original correctness affects casual stats
+                user.casualCorrectAnswers++;
+                user.casualPoints += 10;
+            } else {
+                user.casualPoints -= 5;
+            }
+            if (user.casualPoints < 0) user.casualPoints = 0;
+        }
+        await user.save(); // Save updated user stats
+    }
+
+    // Check for elimination
+    if (player.lives <= 0) {
+        emitToLobby(lobbyId, 'chatMessage', { senderName: 'Game System', message: `${player.name} has been eliminated!` });
+        logGameEvent(lobby, 'eliminated', player.id, { score: player.currentRoundScore, eliminationOrder: lobby.eliminatedPlayers.length + 1 });
+        lobby.eliminatedPlayers.push(player.toObject());
+        lobby.players = lobby.players.filter(p => p.id !== player.id);
+        // The next player has shifted into this index; step back so advanceTurn lands on them
+        lobby.currentPlayerIndex--;
+    }
+
+    // Check for game end: one player left, or only bots left
+    if (lobby.players.length <= 1 || !lobby.players.some(p => p.type === 'human')) {
+        await finishGame(lobby);
+        return { gameOver: true };
+    }
+
+    // Move to next player and question
+    advanceTurn(lobby);
+
+    // Increment playerCycles only if it was a human player's turn or a bot in multiplayer
+    if (player.type === 'human' || (player.type === 'bot' && !lobby.type.startsWith('solo-'))) {
+        lobby.playerCycles++;
+        // Distribute new card every 2 cycles of players in Frenzy Mode
+        if (lobby.isFrenzyMode && lobby.playerCycles % (lobby.players.length * 2) === 0) {
+            // Distribute a random card to all remaining players
+            const randomCard = abilityCards[Math.floor(Math.random() * abilityCards.length)];
+            lobby.players.forEach(p => p.cards.push({ id: randomCard.id, name: randomCard.name }));
+            logGameEvent(lobby, 'cardsDistributed', null, { cardId: randomCard.id, playerIds: lobby.players.map(p => p.id) });
+            emitToLobby(lobbyId, 'chatMessage', { senderName: 'Game System', message: `New ability cards distributed!` });
+        }
+    }
+
+    return { gameOver: false };
+};
+
+// Final standings: survivors first (more lives, then higher score), then eliminated
+// players in reverse order of elimination, then those who forfeited (same order), so
+// quitting a ranked game is never better than losing it.
+const computePlacements = (lobby) => {
+    const survivors = [...lobby.players].sort((a, b) => (b.lives - a.lives) || (b.currentRoundScore - a.currentRoundScore));
+    const eliminated = [...lobby.eliminatedPlayers].reverse();
+    const outlasted = eliminated.filter(p => !p.forfeited);
+    const forfeited = eliminated.filter(p => p.forfeited);
+    return [...survivors, ...outlasted, ...forfeited].map((player, index) => ({ player, placement: index + 1 }));
+};
+
+// End the game: rate ranked matches from the final placements, pay the winner and
+// record per-player results on the lobby (sent to clients with gameEnded).
+const finishGame = async (lobby) => {
+    const { lobbyId } = lobby;
+    lobby.gameStarted = false;
+
+    const standings = computePlacements(lobby);
+    const humanStandings = standings.filter(s => s.player.type === 'human');
+    const users = await User.find({ _id: { $in: humanStandings.map(s => s.player.id) } });
+    const usersById = new Map(users.map(u => [u.id, u]));
+
+    let ratingChanges = new Map();
+    if (lobby.isRanked) {
+        ratingChanges = computeRatingChanges(humanStandings
+            .filter(s => usersById.has(s.player.id))
+            .map(s => {
+                const user = usersById.get(s.player.id);
+                return { id: user.id, rating: user.elo, placement: s.placement, gamesPlayed: user.rankedGamesPlayed };
+            }));
+    }
+
+    // Award tokens to the winner, unless a bot won
+    const winner = standings.length > 0 && standings[0].player.type === 'human' ? standings[0].player : null;
+    let tokensEarned = 100; // Base tokens
+    if (lobby.isRanked) tokensEarned += 150;
+    else if (lobby.isCustom) tokensEarned += 100;
+
+    lobby.results = standings.map(({ player, placement }) => {
+        const user = usersById.get(player.id);
+        const result = {
+            id: player.id,
+            name: player.name,
+            type: player.type,
+            placement,
+            eloBefore: user ? user.elo : player.elo,
+            eloDelta: 0,
+            tokensEarned: 0
+        };
+        if (user && lobby.isRanked) {
+            result.eloDelta = ratingChanges.get(user.id) || 0;
+            user.elo = Math.max(0, user.elo + result.eloDelta);
+            user.rankedGamesPlayed++;
+            user.seasonRankedGamesPlayed++;
+        }
+        if (user && winner && winner.id === player.id) {
+            result.tokensEarned = tokensEarned;
+        }
+        result.eloAfter = user ? user.elo : result.eloBefore;
+        return result;
+    });
+
+    // The winner's save goes through the token ledger
+    await Promise.all(users.map(u => (winner && winner.id === u.id
+        ? TokenTransaction.saveWithTokens(u, tokensEarned, 'game-win', { lobbyId })
+        : u.save())));
+
+    if (winner && usersById.has(winner.id)) {
+        emitToLobby(lobbyId, 'chatMessage', { senderName: 'Game System', message: `${winner.name} won and earned ${tokensEarned} tokens!` });
+    } else if (standings.length > 0 && standings[0].player.type === 'bot') {
+        emitToLobby(lobbyId, 'chatMessage', { senderName: 'Game System', message: `${standings[0].player.name} won! Better luck next time.` });
+    }
+    if (lobby.isRanked) {
+        lobby.results.filter(r => usersById.has(r.id)).forEach(r => {
+            emitToUser(r.id, 'ratingUpdated', { lobbyId, placement: r.placement, eloBefore: r.eloBefore, eloAfter: r.eloAfter, eloDelta: r.eloDelta });
+        });
+    }
+
+    logGameEvent(lobby, 'gameEnded', winner ? winner.id : null, {
+        results: lobby.results.map(({ id, name, type, placement, eloDelta, tokensEarned }) => ({ id, name, type, placement, eloDelta, tokensEarned }))
+    });
+    await recordMatch(lobby, standings, winner);
+};
+
+// Keep a permanent record of the game that just ended. Ratings and tokens are already
+// saved, so a failure here is logged rather than failing the turn.
+const recordMatch = async (lobby, standings, winner) => {
+    if (!lobby.gameId) return; // Started before games had IDs
+    const resultsById = new Map(lobby.results.map(r => [r.id, r]));
+    const eliminationOrder = new Map(lobby.eliminatedPlayers.map((p, index) => [p.id, index + 1]));
+    // currentQuestionIndex moves on once per turn and loops, so the first `turnNumber` questions were asked
+    const questionsAsked = lobby.questions.slice(0, Math.min(lobby.turnNumber, lobby.questions.length));
+
+    try {
+        await Match.create({
+            gameId: lobby.gameId,
+            lobbyId: lobby.lobbyId,
+            lobbyName: lobby.name,
+            type: lobby.type,
+            isRanked: lobby.isRanked,
+            isCustom: lobby.isCustom,
+            settings: {
+                isFrenzyMode: lobby.isFrenzyMode,
+                initialLives: lobby.initialLives,
+                questionTimer: lobby.questionTimer,
+                questionCategory: lobby.questionCategory,
+                questionDifficulty: lobby.questionDifficulty,
+                questionCount: lobby.questionCount
+            },
+            participants: standings.map(({ player, placement }) => {
+                const result = resultsById.get(player.id);
+                return {
+                    id: player.id,
+                    name: player.name,
+                    type: player.type,
+                    botDifficulty: player.botDifficulty,
+                    placement,
+                    eliminationOrder: eliminationOrder.get(player.id) || null,
+                    livesLeft: Math.max(0, player.lives),
+                    score: player.currentRoundScore,
+                    correctAnswers: player.roundCorrectAnswers,
+                    totalAnswers: player.roundTotalAnswers,
+                    eloBefore: result.eloBefore,
+                    eloAfter: result.eloAfter,
+                    eloDelta: result.eloDelta,
+                    tokensEarned: result.tokensEarned
+                };
+            }),
+            winnerId: winner ? winner.id : null,
+            questions: questionsAsked.map(({ questionId, q, a }) => ({ questionId, q, a })),
+            turns: lobby.turnNumber,
+            startedAt: lobby.gameStartedAt || lobby.updatedAt,
+            endedAt: new Date()
+        });
+    } catch (err) {
+        console.error(`Error recording match for lobby ${lobby.lobbyId}:`, err.message);
+    }
+};
+
+// Persist the lobby after a turn has been resolved and notify clients:
+// either the game is over, or the next turn starts with a fresh deadline.
+const commitTurn = async (lobby, gameOver) => {
+    if (gameOver) {
+        clearTurnTimer(lobby.lobbyId);
+        lobby.turnDeadline = null;
+        await lobby.save(); // Save final lobby state
+        emitLobbyState(lobby, 'gameEnded');
+        lobbyEvents.emit('gameEnded', lobby);
+        return;
+    }
+    startTurn(lobby);
+    await lobby.save();
+    emitLobbyState(lobby); // Send updated lobby state
+    emitTurnStarted(lobby);
+};
+
+// Runs when a turn's deadline passes without an answer: the turn counts as a wrong answer
+const handleTurnTimeout = async (lobbyId, turnNumber) => {
+    turnTimers.delete(lobbyId);
+    try {
+        const lobby = await Lobby.findOne({ lobbyId });
+        // The turn may already have been answered, or the game ended/deleted meanwhile
+        if (!lobby || !lobby.gameStarted || lobby.turnNumber !== turnNumber) return;
+
+        const player = lobby.players[lobby.currentPlayerIndex];
+        if (!player || !(await claimTurn(lobby))) return;
+
+        await runClaimedTurn(lobby, async () => {
+            const { gameOver } = await resolveTurn(lobby, player, false, { timedOut: true });
+            await commitTurn(lobby, gameOver);
+        });
+    } catch (err) {
+        console.error('Error handling turn timeout:', err.message);
+    }
+};
+
+// Pick a card for a bot to play this turn, if any. Bots only play cards that help them:
+// Golden Defense when it can still add shields, Evolved Meta Vision for a clue, and
+// Control to skip a question they expect to get wrong.
+const chooseBotCard = (lobby, bot, expectsCorrect) => {
+    if (!lobby.isFrenzyMode || bot.cards.length === 0) return null;
+    const profile = BOT_DIFFICULTIES[bot.botDifficulty] || BOT_DIFFICULTIES.medium;
+    if (Math.random() >= profile.cardChance) return null;
+
+    const has = (cardId) => bot.cards.some(c => c.id === cardId);
+    if (has('card_golden_defense') && !bot.goldenDefenseUsed && bot.shields < MAX_SHIELDS) {
+        return 'card_golden_defense';
+    }
+    if (!expectsCorrect && has('card_control')) return 'card_control';
+    if (!expectsCorrect && has('card_evolved_meta_vision')) return 'card_evolved_meta_vision';
+    if (has('card_copy') && lobby.players.some(p => p.id !== bot.id && p.lives > 0 && p.cards.length > 0)) {
+        return 'card_copy';
+    }
+    return null;
+};
+
+// A bot's move: maybe play a card, then answer (or give up the turn via Control)
+const playBotTurn = async (lobbyId, turnNumber) => {
+    botTimers.delete(lobbyId);
+    try {
+        const lobby = await Lobby.findOne({ lobbyId });
+        if (!lobby || !lobby.gameStarted || lobby.turnNumber !== turnNumber) return;
+
+        const bot = lobby.players[lobby.currentPlayerIndex];
+        if (!bot || bot.type !== 'bot' || !(await claimTurn(lobby))) return;
+
+        await runClaimedTurn(lobby, async () => {
+            const profile = BOT_DIFFICULTIES[bot.botDifficulty] || BOT_DIFFICULTIES.medium;
+            let accuracy = profile.accuracy;
+            let expectsCorrect = Math.random() < accuracy;
+
+            const cardId = chooseBotCard(lobby, bot, expectsCorrect);
+            if (cardId) {
+                const result = applyCardEffect(lobby, bot, cardId, { controlAction: 'skip' });
+                if (!result.error) {
+                    logCardPlay(lobby, bot, cardId, { controlAction: 'skip' }, result);
+                    emitToLobby(lobbyId, 'chatMessage', { senderName: 'Game System', message: result.message });
+                    if (cardId === 'card_control') {
+                        // Turn skipped, the next player gets a fresh clock
+                        startTurn(lobby);
+                        await lobby.save();
+                        emitLobbyState(lobby);
+                        emitTurnStarted(lobby);
+                        return;
+                    }
+                    if (cardId === 'card_evolved_meta_vision') {
+                        accuracy = Math.min(1, accuracy + EVOLVED_META_VISION_BONUS);
+                        expectsCorrect = Math.random() < accuracy;
+                    }
+                }
+            }
+
+            const { gameOver } = await resolveTurn(lobby, bot, expectsCorrect);
+            await commitTurn(lobby, gameOver);
+        });
+    } catch (err) {
+        console.error('Error playing bot turn:', err.message);
+    }
+};
+
+// Re-arm turn timers (and pending bot moves) for games that were running when the server restarted
+// Nobody is connected right after a restart, so every human starts a fresh grace period
+// (players who were already disconnected keep theirs).
+const resumeTurnTimers = async () => {
+    const runningLobbies = await Lobby.find({ gameStarted: true, turnDeadline: { $ne: null } });
+    await Promise.all(runningLobbies.map(async (lobby) => {
+        scheduleTurnTimeout(lobby.lobbyId, lobby.turnNumber, lobby.turnDeadline);
+        scheduleBotTurn(lobby);
+        lobby.players.filter(p => p.type === 'human').forEach(player => {
+            if (player.connected !== false) {
+                player.connected = false;
+                player.disconnectedAt = new Date();
+            }
+            scheduleForfeit(lobby, player);
+        });
+        await lobby.save();
+    }));
+};
+
+const scheduleForfeit = (lobby, player) => {
+    const key = `${lobby.lobbyId}:${player.id}`;
+    clearTimeout(forfeitTimers.get(key));
+    const delay = Math.max(0, new Date(player.disconnectedAt).getTime() + RECONNECT_GRACE_MS - Date.now());
+    forfeitTimers.set(key, setTimeout(() => forfeitPlayer(lobby.lobbyId, lobby.gameId, player.id), delay));
+};
+
+const cancelForfeit = (lobbyId, userId) => {
+    const key = `${lobbyId}:${userId}`;
+    clearTimeout(forfeitTimers.get(key));
+    forfeitTimers.delete(key);
+};
+
+// What the lobby is told when a player forfeits, by reason
+const FORFEIT_MESSAGES = {
+    disconnected: (name) => `${name} did not reconnect in time and forfeits the game.`,
+    left: (name) => `${name} left the game and forfeits.`,
+    inactive: (name) => `${name} was removed for inactivity and forfeits the game.`
+};
+
+// Take a player out of `lobby`'s running game as if they had lost their last life, then end
+// the game or move the turn on as needed. When that ends the current turn it is claimed
+// first; returns false, changing nothing, if that turn is already being resolved.
+const forfeitFromGame = async (lobby, userId, reason) => {
+    const index = lobby.players.findIndex(p => p.id === userId);
+    const player = lobby.players[index];
+    const wasTheirTurn = index === lobby.currentPlayerIndex;
+    const remaining = lobby.players.filter(p => p.id !== userId);
+    const gameOver = remaining.length <= 1 || !remaining.some(p => p.type === 'human');
+    const endsTurn = wasTheirTurn || gameOver;
+    if (endsTurn && !(await claimTurn(lobby))) return false;
+
+    const forfeit = async () => {
+        player.lives = 0;
+        player.forfeited = true;
+        lobby.eliminatedPlayers.push(player.toObject());
+        lobby.players.splice(index, 1);
+        if (index < lobby.currentPlayerIndex || wasTheirTurn) {
+            lobby.currentPlayerIndex--; // Keep pointing at the same player, or just before the next one
+        }
+        logGameEvent(lobby, reason === 'left' ? 'playerLeft' : 'forfeited', userId, { reason, eliminationOrder: lobby.eliminatedPlayers.length });
+        emitToLobby(lobby.lobbyId, 'chatMessage', { senderName: 'Game System', message: FORFEIT_MESSAGES[reason](player.name) });
+
+        if (gameOver) {
+            await finishGame(lobby);
+            await commitTurn(lobby, true);
+        } else if (wasTheirTurn) {
+            advanceTurn(lobby);
+            await commitTurn(lobby, false);
+        } else {
+            await lobby.save();
+            emitLobbyState(lobby);
+        }
+    };
+    await (endsTurn ? runClaimedTurn(lobby, forfeit) : forfeit());
+    return true;
+};
+
+// Forfeit a player out of a running game ('disconnected' when their grace period ran out,
+// 'inactive' when the inactivity check penalized them). Retries until the turn in progress
+// is over if it has to end it.
+const forfeitPlayer = async (lobbyId, gameId, userId, reason = 'disconnected') => {
+    forfeitTimers.delete(`${lobbyId}:${userId}`);
+    try {
+        const lobby = await Lobby.findOne({ lobbyId });
+        if (!lobby || !lobby.gameStarted || lobby.gameId !== gameId) return;
+        const player = lobby.players.find(p => p.id === userId);
+        if (!player || (reason === 'disconnected' && player.connected !== false)) return;
+
+        if (!(await forfeitFromGame(lobby, userId, reason))) {
+            // Their turn is being resolved right now; forfeit once the next one has started
+            forfeitTimers.set(`${lobbyId}:${userId}`, setTimeout(() => forfeitPlayer(lobbyId, gameId, userId, reason), TURN_GRACE_MS));
+        }
+    } catch (err) {
+        console.error('Error forfeiting player:', err.message);
+    }
+};
+
+// Presence hook for the socket layer: called when a user's last socket drops (connected = false)
+// or when they come back. Updates every running game they are seated in.
+const setPlayerConnected = async (userId, connected) => {
+    const lobbies = await Lobby.find({ gameStarted: true, players: { $elemMatch: { id: userId, type: 'human' } } });
+    await Promise.all(lobbies.map(async (lobby) => {
+        const player = lobby.players.find(p => p.id === userId);
+        const wasConnected = player.connected !== false;
+        if (wasConnected === connected) return;
+
+        player.connected = connected;
+        player.disconnectedAt = connected ? null : new Date();
+        logGameEvent(lobby, connected ? 'playerReconnected' : 'playerDisconnected', userId);
+
+        const isTheirTurn = lobby.players[lobby.currentPlayerIndex] && lobby.players[lobby.currentPlayerIndex].id === userId;
+        let turnShortened = false;
+        if (connected) {
+            cancelForfeit(lobby.lobbyId, userId);
+        } else {
+            scheduleForfeit(lobby, player);
+            // Don't leave everyone waiting out the full timer for someone who is gone
+            const shortDeadline = new Date(Date.now() + DISCONNECTED_TURN_SECONDS * 1000);
+            if (isTheirTurn && lobby.turnDeadline && lobby.turnDeadline > shortDeadline) {
+                lobby.turnDeadline = shortDeadline;
+                scheduleTurnTimeout(lobby.lobbyId, lobby.turnNumber, lobby.turnDeadline);
+                turnShortened = true;
+            }
+        }
+        await lobby.save();
+
+        const message = connected
+            ? `${player.name} reconnected.`
+            : `${player.name} disconnected. They have ${RECONNECT_GRACE_MS / 1000} seconds to come back.`;
+        emitToLobby(lobby.lobbyId, 'chatMessage', { senderName: 'Game System', message });
+        emitLobbyState(lobby);
+        if (turnShortened) emitTurnStarted(lobby);
+    }));
+};
+
+// Everything a client needs to drop straight back into the user's running game, or null
+const getResumeSnapshot = async (userId) => {
+    const lobby = await Lobby.findOne({ gameStarted: true, 'players.id': userId });
+    if (!lobby) return null;
+    return {
+        lobby: lobbyView(lobby, userId),
+        turn: {
+            lobbyId: lobby.lobbyId,
+            turnNumber: lobby.turnNumber,
+            currentPlayerIndex: lobby.currentPlayerIndex,
+            currentQuestionIndex: lobby.currentQuestionIndex,
+            turnDeadline: lobby.turnDeadline,
+            serverTime: Date.now()
+        }
+    };
+};
+
+// Three random ability cards in Frenzy Mode, none otherwise
+const dealStartingCards = (isFrenzyMode) => {
+    if (!isFrenzyMode) return [];
+    const cards = [];
+    for (let i = 0; i < 3; i++) {
+        const randomCard = abilityCards[Math.floor(Math.random() * abilityCards.length)];
+        cards.push({ id: randomCard.id, name: randomCard.name });
+    }
+    return cards;
+};
+
+const MIN_QUESTION_COUNT = 5;
+const MAX_QUESTION_COUNT = 50;
+
+// Draw a non-repeating random set of active questions matching the lobby's type and settings
+const drawQuestions = async (lobby) => {
+    const match = {
+        type: lobby.type.includes('fill-in-blanks') ? 'fill-in-blanks' : 'qna',
+        active: true
+    };
+    if (lobby.questionCategory) match.category = lobby.questionCategory;
+    if (lobby.questionDifficulty) match.difficulty = lobby.questionDifficulty;
+
+    const drawn = await Question.aggregate([
+        { $match: match },
+        { $sample: { size: lobby.questionCount || MAX_QUESTION_COUNT } }
+    ]);
+    return drawn.map(question => ({
+        questionId: String(question._id),
+        q: question.q,
+        a: canonicalAnswer(question),
+        answers: question.answers,
+        matchMode: question.matchMode,
+        hint: question.hint
+    }));
+};
+
+// Reset game state, deal questions and cards, start the first turn and notify the room.
+// Used by the host's start route and by matchmaking.
+// Returns { error } without touching the lobby if no questions match its settings.
+const startLobbyGame = async (lobby) => {
+    const questions = await drawQuestions(lobby);
+    if (questions.length === 0) {
+        return { error: 'No questions match this lobby\'s question settings.' };
+    }
+
+    // Initialize game state for the lobby
+    lobby.gameStarted = true;
+    lobby.gameId = new mongoose.Types.ObjectId().toString();
+    lobby.gameStartedAt = new Date();
+    lobby.eventSeq = 0;
+    lobby.currentQuestionIndex = 0;
+    lobby.currentPlayerIndex = 0;
+    lobby.playerCycles = 0; // Reset for new game
+    lobby.turnNumber = 0;
+    lobby.resolvedTurn = 0;
+    lobby.eliminatedPlayers = [];
+    lobby.results = [];
+
+    lobby.questions = questions;
+
+    // Reset player specific game stats for the new game
+    lobby.players = lobby.players.map(p => ({
+        ...p.toObject(), // Convert Mongoose document to plain object
+        lives: lobby.initialLives,
+        currentRoundScore: 0,
+        roundCorrectAnswers: 0,
+        roundTotalAnswers: 0,
+        cards: dealStartingCards(lobby.isFrenzyMode), // Re-deal cards for new game
+        shields: 0,
+        goldenDefenseUsed: false
+    }));
+
+    logGameEvent(lobby, 'gameStarted', null, {
+        type: lobby.type,
+        isFrenzyMode: lobby.isFrenzyMode,
+        questionTimer: lobby.questionTimer,
+        questionCount: questions.length,
+        players: lobby.players.map(p => ({
+            id: p.id,
+            name: p.name,
+            type: p.type,
+            botDifficulty: p.botDifficulty,
+            lives: p.lives,
+            cards: p.cards.map(c => c.id),
+            loadout: Object.fromEntries(p.loadout || [])
+        }))
+    });
+    startTurn(lobby);
+    await lobby.save();
+
+    emitLobbyState(lobby, 'gameStarted');
+    emitTurnStarted(lobby);
+    return {};
+};
+
+// Create a ranked lobby for players paired by matchmaking. Players are auto-ready;
+// the caller joins their sockets to the room and then calls startLobbyGame.
+const createRankedMatchLobby = async (type, users) => {
+    const lobby = new Lobby({
+        lobbyId: generateLobbyId(type.replace(/-/g, '_')),
+        name: `Ranked ${users.map(u => u.username).join(' vs ')}`,
+        type,
+        hostId: users[0].id,
+        maxPlayers: users.length,
+        isRanked: true,
+        players: users.map(u => ({
+            id: u.id,
+            name: u.username,
+            isReady: true,
+            type: 'human',
+            elo: u.elo,
+            casualPoints: u.casualPoints
+        }))
+    });
+    await lobby.save();
+    return lobby;
+};
+
+// Create the lobby for one tournament match. Nobody hosts it: players check in by readying
+// up and the tournament starts the game (see services/tournamentRunner.js).
+const createTournamentMatchLobby = async (tournament, roundNumber, users) => {
+    const lobby = new Lobby({
+        lobbyId: generateLobbyId(tournament.mode.replace(/-/g, '_')),
+        name: `${tournament.name} - Round ${roundNumber}`,
+        type: tournament.mode,
+        hostId: `tournament:${tournament.id}`,
+        maxPlayers: users.length,
+        tournamentId: tournament.id,
+        isPrivate: true, // Not listed, and nobody else can join
+        isLocked: true,
+        ...tournament.toObject().settings,
+        players: users.map(u => ({
+            id: u.id,
+            name: u.username,
+            isReady: false,
+            type: 'human',
+            elo: u.elo,
+            casualPoints: u.casualPoints,
+            lives: tournament.settings.initialLives,
+            cards: dealStartingCards(tournament.settings.isFrenzyMode)
+        }))
+    });
+    await lobby.save();
+    return lobby;
+};
+
+// Delete a lobby, stop its turn clock and tell every client it is gone. A game still
+// running in it just stops, so 'lobbyClosed' lets its owner (a tournament) wrap it up.
+const closeLobby = async (lobbyId) => {
+    clearTurnTimer(lobbyId);
+    const lobby = await Lobby.findOneAndDelete({ lobbyId });
+    io.emit('lobbyDeleted', lobbyId);
+    io.in(spectatorRoom(lobbyId)).socketsLeave(spectatorRoom(lobbyId));
+    if (lobby) lobbyEvents.emit('lobbyClosed', lobby);
+};
+
 // @route   GET /api/lobbies
 // @desc    Get all available lobbies (filtered by type, excluding ranked)
 // @access  Private
@@ -114,10 +1166,26 @@ router.get('/', auth, async (req, res) => {
         if (type) {
             query.type = type;
         }
-        // Exclude ranked lobbies from the general list
+        // Exclude ranked and private lobbies from the general list
         query.isRanked = false;
+        query.isPrivate = { $ne: true };
         const lobbies = await Lobby.find(query);
-        res.json(lobbies);
+        res.json(lobbies.map(lobby => lobbyView(lobby)));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   GET /api/lobbies/live
+// @desc    Running games that can be watched, including ranked ones (filtered by type)
+// @access  Private
+router.get('/live', auth, async (req, res) => {
+    try {
+        const query = { gameStarted: true, allowSpectators: true, isPrivate: { $ne: true } };
+        if (req.query.type) query.type = String(req.query.type);
+        const lobbies = await Lobby.find(query).sort({ gameStartedAt: -1 }).limit(50);
+        res.json(lobbies.map(lobby => lobbyView(lobby)));
     } catch (err) {
         console.error(err.message);
         res.status(500).send('Server error');
@@ -128,7 +1196,7 @@ router.get('/', auth, async (req, res) => {
 // @desc    Create a new lobby
 // @access  Private
 router.post('/', auth, async (req, res) => {
-    const { name, maxPlayers, type, isFrenzyMode, initialLives, questionTimer } = req.body;
+    const { name, maxPlayers, type, isFrenzyMode, initialLives, questionTimer, questionCategory, questionDifficulty, questionCount, isPrivate } = req.body;
     const hostId = req.user.id;
     const hostUsername = req.user.username; // Assuming username is in JWT payload
 
@@ -139,21 +1207,23 @@ router.post('/', auth, async (req, res) => {
             return res.status(403).json({ msg: 'You are penalized and cannot create a lobby.' });
         }
 
+        if (type.startsWith('ranked-')) {
+            return res.status(400).json({ msg: 'Ranked lobbies are created by matchmaking. Join the ranked queue instead.' });
+        }
+
+        if (questionDifficulty && !Question.DIFFICULTIES.includes(questionDifficulty)) {
+            return res.status(400).json({ msg: `questionDifficulty must be one of: ${Question.DIFFICULTIES.join(', ')}` });
+        }
+        if (questionCount !== undefined && (!Number.isInteger(questionCount) || questionCount < MIN_QUESTION_COUNT || questionCount > MAX_QUESTION_COUNT)) {
+            return res.status(400).json({ msg: `questionCount must be between ${MIN_QUESTION_COUNT} and ${MAX_QUESTION_COUNT}` });
+        }
+        const rangeError = lobbySettingsRangeError({ initialLives, questionTimer, maxPlayers });
+        if (rangeError) return res.status(400).json({ msg: rangeError });
+
         const newLobbyId = generateLobbyId(type.replace(/-/g, '_'));
         const isRanked = type.startsWith('ranked-');
         const isCustom = type.startsWith('custom-');
 
-        // Helper to get starting cards for frenzy mode
-        const getStartingCards = () => {
-            if (!isFrenzyMode) return [];
-            const cards = [];
-            for (let i = 0; i < 3; i++) {
-                const randomCard = abilityCards[Math.floor(Math.random() * abilityCards.length)];
-                cards.push({ id: randomCard.id, name: randomCard.name });
-            }
-            return cards;
-        };
-
         const initialPlayer = {
             id: hostId,
             name: hostUsername,
@@ -166,7 +1236,7 @@ router.post('/', auth, async (req, res) => {
             casualCorrectAnswers: user.casualCorrectAnswers,
             casualTotalAnswers: user.casualTotalAnswers,
             lives: initialLives,
-            cards: getStartingCards(),
+            cards: dealStartingCards(isFrenzyMode),
             shields: 0,
             goldenDefenseUsed: false
         };
@@ -184,75 +1254,125 @@ router.post('/', auth, async (req, res) => {
             isCustom,
             isFrenzyMode,
             initialLives,
-            questionTimer
+            questionTimer,
+            questionCategory: questionCategory ? String(questionCategory).toLowerCase() : null,
+            questionDifficulty: questionDifficulty || null,
+            questionCount,
+            isPrivate: !!isPrivate,
+            joinCode: isPrivate ? randomCode(JOIN_CODE_LENGTH) : null
         });
 
-        // Add bots if maxPlayers > 1 for simulation purposes
-        for (let i = 1; i < maxPlayers; i++) {
-            newLobby.players.push({
-                id: `bot_${newLobbyId}_${i}`,
-                name: `Bot_${i}`,
-                isReady: true, // Bots are always ready
-                type: 'bot',
-                elo: 0,
-                casualPoints: 0,
-                lives: initialLives,
-                cards: getStartingCards(),
-                shields: 0,
-                goldenDefenseUsed: false
-            });
-        }
-
         await newLobby.save();
 
-        // Emit update to all clients that a new lobby was created
-        io.emit('lobbyCreated', newLobby);
+        // Emit update to all clients that a new lobby was created (private lobbies are unlisted)
+        if (!newLobby.isPrivate) {
+            io.emit('lobbyCreated', lobbyView(newLobby));
+        }
 
-        res.status(201).json(newLobby);
+        res.status(201).json(lobbyView(newLobby, hostId)); // Only the host gets the code here
     } catch (err) {
         console.error(err.message);
         res.status(500).send('Server error');
     }
 });
 
-// @route   POST /api/lobbies/:lobbyId/join
-// @desc    Join an existing lobby
-// @access  Private
-router.post('/:lobbyId/join', auth, async (req, res) => {
-    const { lobbyId } = req.params;
-    const userId = req.user.id;
-    const username = req.user.username;
+const JOIN_CODE_LENGTH = 6;
+const MIN_LOBBY_PLAYERS = 2;
+const MAX_LOBBY_PLAYERS = 8;
+const LIVES_RANGE = [1, 10];
+const QUESTION_TIMER_RANGE = [10, 120]; // Seconds
 
-    try {
-        const user = await User.findById(userId);
-        if (!user) return res.status(404).json({ msg: 'User not found' });
-        if (user.penaltyEndTime && new Date() < user.penaltyEndTime) {
-            return res.status(403).json({ msg: 'You are penalized and cannot join a lobby.' });
+// Wrong join codes allowed per user before they have to wait (codes are short)
+const joinCodeFailureLimiter = createRateLimiter({ limit: 10, windowMs: 15 * 60 * 1000 });
+
+const normalizeJoinCode = (code) => String(code || '').trim().toUpperCase();
+
+// Compare a submitted join code, counting misses against the user's limit
+const joinCodeMatches = (expected, submitted, userId) => {
+    if (expected && normalizeJoinCode(submitted) === expected) return true;
+    joinCodeFailureLimiter.hit(userId);
+    return false;
+};
+
+const LOBBY_INVITE_TTL_MS = 10 * 60 * 1000;
+const MAX_PENDING_LOBBY_INVITES = 20; // Per lobby
+const lobbyInviteLimiter = createRateLimiter({ limit: 20, windowMs: 60 * 1000 });
+
+const pendingInvites = (lobby) => lobby.invites.filter(i => i.expiresAt > new Date());
+const hasPendingInvite = (lobby, userId) => pendingInvites(lobby).some(i => i.userId === userId);
+
+// Why `userId` may not join `lobby` (loaded with +joinCode), as { status, msg }, or null
+const joinRefusal = (lobby, userId, submittedCode) => {
+    if (lobby.bannedIds.includes(userId)) return { status: 403, msg: 'You have been banned from this lobby.' };
+    if (hasPendingInvite(lobby, userId)) return null;
+    if (lobby.isLocked) return { status: 403, msg: 'This lobby is locked by the host.' };
+    if (lobby.isPrivate) {
+        if (joinCodeFailureLimiter.isLimited(userId)) {
+            return { status: 429, msg: 'Too many wrong join codes. Try again later.' };
         }
+        if (!joinCodeMatches(lobby.joinCode, submittedCode, userId)) {
+            return { status: 403, msg: 'This lobby is private. A valid join code is required.' };
+        }
+    }
+    return null;
+};
 
-        let lobby = await Lobby.findOne({ lobbyId });
+// @route   POST /api/lobbies/find-by-code
+// @desc    Look up a private lobby by its join code: { joinCode }. Join it with /:lobbyId/join.
+// @access  Private
+router.post('/find-by-code', auth, async (req, res) => {
+    const userId = req.user.id;
+    if (joinCodeFailureLimiter.isLimited(userId)) {
+        return res.status(429).json({ msg: 'Too many wrong join codes. Try again later.' });
+    }
+
+    try {
+        const joinCode = normalizeJoinCode(req.body.joinCode);
+        const lobby = joinCode ? await Lobby.findOne({ joinCode }) : null;
         if (!lobby) {
-            return res.status(404).json({ msg: 'Lobby not found' });
+            joinCodeFailureLimiter.hit(userId);
+            return res.status(404).json({ msg: 'No lobby has that join code.' });
         }
+        res.json({ lobbyId: lobby.lobbyId, name: lobby.name, type: lobby.type, gameStarted: lobby.gameStarted });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
 
-        if (lobby.players.length >= lobby.maxPlayers || lobby.gameStarted) {
-            return res.status(400).json({ msg: 'Lobby is full or game has started' });
+// @route   POST /api/lobbies/:lobbyId/join
+// @desc    Join an existing lobby
+// @access  Private
+router.post('/:lobbyId/join', auth, async (req, res) => {
+    const { lobbyId } = req.params;
+    const userId = req.user.id;
+    const username = req.user.username;
+
+    try {
+        const user = await User.findById(userId);
+        if (!user) return res.status(404).json({ msg: 'User not found' });
+        if (user.penaltyEndTime && new Date() < user.penaltyEndTime) {
+            return res.status(403).json({ msg: 'You are penalized and cannot join a lobby.' });
+        }
+
+        let lobby = await Lobby.findOne({ lobbyId }).select('+joinCode');
+        if (!lobby) {
+            return res.status(404).json({ msg: 'Lobby not found' });
         }
 
         // Check if player is already in this lobby
         if (lobby.players.some(p => p.id === userId)) {
-            return res.json(lobby); // Already in lobby, just return lobby info
+            return res.json(lobbyView(lobby, req.user.id)); // Already in lobby, just return lobby info
         }
 
-        const getStartingCards = () => {
-            if (!lobby.isFrenzyMode) return [];
-            const cards = [];
-            for (let i = 0; i < 3; i++) {
-                const randomCard = abilityCards[Math.floor(Math.random() * abilityCards.length)];
-                cards.push({ id: randomCard.id, name: randomCard.name });
-            }
-            return cards;
-        };
+        const refusal = joinRefusal(lobby, userId, req.body.joinCode);
+        if (refusal) {
+            return res.status(refusal.status).json({ msg: refusal.msg });
+        }
+
+        if (lobby.players.length >= lobby.maxPlayers || lobby.gameStarted) {
+            return res.status(400).json({ msg: 'Lobby is full or game has started' });
+        }
 
         const playerToAdd = {
             id: userId,
@@ -266,335 +1386,1089 @@ router.post('/:lobbyId/join', auth, async (req, res) => {
             casualCorrectAnswers: user.casualCorrectAnswers,
             casualTotalAnswers: user.casualTotalAnswers,
             lives: lobby.initialLives,
-            cards: getStartingCards(),
+            cards: dealStartingCards(lobby.isFrenzyMode),
+            shields: 0,
+            goldenDefenseUsed: false
+        };
+
+        lobby.players.push(playerToAdd);
+        lobby.spectators = lobby.spectators.filter(s => s.id !== userId); // Stopped watching to play
+        lobby.invites = pendingInvites(lobby).filter(i => i.userId !== userId);
+        await lobby.save();
+        io.in(userRoom(userId)).socketsLeave(spectatorRoom(lobbyId));
+
+        lobby.joinCode = undefined; // Members fetch it from /join-code
+        emitLobbyState(lobby); // Emit update to lobby members
+        res.json(lobbyView(lobby, req.user.id));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/lobbies/:lobbyId/leave
+// @desc    Leave a lobby
+// @access  Private
+router.post('/:lobbyId/leave', auth, async (req, res) => {
+    const { lobbyId } = req.params;
+    const userId = req.user.id;
+
+    try {
+        let lobby = await Lobby.findOne({ lobbyId });
+        if (!lobby) {
+            return res.status(404).json({ msg: 'Lobby not found' });
+        }
+
+        if (!lobby.players.some(p => p.id === userId)) {
+            return res.status(400).json({ msg: 'User not found in lobby' });
+        }
+        if (lobby.gameStarted) {
+            // Leaving a running game forfeits it, so the turn order and standings stay intact
+            if (!(await forfeitFromGame(lobby, userId, 'left'))) {
+                return res.status(409).json({ msg: 'Your turn is being resolved. Try again in a moment.' });
+            }
+        } else {
+            lobby.players = lobby.players.filter(p => p.id !== userId);
+        }
+
+        // If no human players left, delete the lobby
+        if (lobby.players.filter(p => p.type === 'human').length === 0) {
+            await closeLobby(lobbyId); // Notifies all clients
+            return res.json({ msg: 'Lobby deleted as no human players remain' });
+        }
+
+        // If the host left, assign new host (first human player)
+        if (lobby.hostId === userId) {
+            const newHost = lobby.players.find(p => p.type === 'human');
+            if (newHost) {
+                lobby.hostId = newHost.id;
+            } else {
+                // Should not happen if previous check passed, but safety
+                await closeLobby(lobbyId);
+                return res.json({ msg: 'Lobby deleted as no human players remain' });
+            }
+        }
+
+        await lobby.save();
+        emitLobbyState(lobby); // Emit update to lobby members
+        res.json({ msg: 'Left lobby successfully', lobby: lobbyView(lobby, req.user.id) });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// Shared checks for the bot routes: bots can be added to casual and custom lobbies that
+// have not started yet, by the host. Returns { lobby } or { status, msg }.
+const findLobbyForBotChange = async (lobbyId, userId) => {
+    const lobby = await Lobby.findOne({ lobbyId });
+    if (!lobby) return { status: 404, msg: 'Lobby not found' };
+    if (lobby.hostId !== userId) return { status: 403, msg: 'Only the host can add or remove bots' };
+    if (lobby.isRanked || lobby.type.startsWith('solo-')) return { status: 400, msg: 'Bots cannot play in this mode' };
+    if (lobby.gameStarted) return { status: 400, msg: 'The game has already started' };
+    return { lobby };
+};
+
+// @route   POST /api/lobbies/:lobbyId/bots
+// @desc    Add a bot to a lobby: { difficulty: 'easy' | 'medium' | 'hard' }
+// @access  Private (host only)
+router.post('/:lobbyId/bots', auth, async (req, res) => {
+    const { lobbyId } = req.params;
+    const { difficulty = 'medium' } = req.body;
+
+    if (!BOT_DIFFICULTIES[difficulty]) {
+        return res.status(400).json({ msg: `difficulty must be one of: ${Object.keys(BOT_DIFFICULTIES).join(', ')}` });
+    }
+
+    try {
+        const { lobby, status, msg } = await findLobbyForBotChange(lobbyId, req.user.id);
+        if (!lobby) return res.status(status).json({ msg });
+
+        if (lobby.players.length >= lobby.maxPlayers) {
+            return res.status(400).json({ msg: 'Lobby is full' });
+        }
+
+        const botNumber = lobby.players.filter(p => p.type === 'bot').length + 1;
+        const label = difficulty.charAt(0).toUpperCase() + difficulty.slice(1);
+        lobby.players.push({
+            id: `bot_${lobbyId}_${Math.random().toString(36).substring(2, 8)}`,
+            name: `${label} Bot ${botNumber}`,
+            isReady: true, // Bots are always ready
+            type: 'bot',
+            botDifficulty: difficulty,
+            elo: 0,
+            casualPoints: 0,
+            lives: lobby.initialLives,
+            cards: dealStartingCards(lobby.isFrenzyMode),
             shields: 0,
             goldenDefenseUsed: false
+        });
+
+        await lobby.save();
+        emitLobbyState(lobby);
+        res.status(201).json(lobby);
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   DELETE /api/lobbies/:lobbyId/bots/:botId
+// @desc    Remove a bot from a lobby
+// @access  Private (host only)
+router.delete('/:lobbyId/bots/:botId', auth, async (req, res) => {
+    const { lobbyId, botId } = req.params;
+
+    try {
+        const { lobby, status, msg } = await findLobbyForBotChange(lobbyId, req.user.id);
+        if (!lobby) return res.status(status).json({ msg });
+
+        const bot = lobby.players.find(p => p.id === botId && p.type === 'bot');
+        if (!bot) {
+            return res.status(404).json({ msg: 'Bot not found in this lobby' });
+        }
+        lobby.players = lobby.players.filter(p => p.id !== botId);
+
+        await lobby.save();
+        emitLobbyState(lobby);
+        res.json(lobbyView(lobby, req.user.id));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/lobbies/:lobbyId/ready
+// @desc    Toggle player ready status
+// @access  Private
+router.post('/:lobbyId/ready', auth, async (req, res) => {
+    const { lobbyId } = req.params;
+    const userId = req.user.id;
+
+    try {
+        let lobby = await Lobby.findOne({ lobbyId });
+        if (!lobby) {
+            return res.status(404).json({ msg: 'Lobby not found' });
+        }
+
+        const player = lobby.players.find(p => p.id === userId);
+        if (!player) {
+            return res.status(400).json({ msg: 'Player not in this lobby' });
+        }
+
+        if (lobby.isRanked) {
+             return res.status(400).json({ msg: 'Players are automatically ready in ranked lobbies.' });
+        }
+
+        player.isReady = !player.isReady;
+        await lobby.save();
+
+        emitLobbyState(lobby);
+        lobbyEvents.emit('readyChanged', lobby);
+        res.json({ msg: 'Ready status updated', playerReady: player.isReady });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/lobbies/:lobbyId/start
+// @desc    Start the game in a lobby
+// @access  Private
+router.post('/:lobbyId/start', auth, async (req, res) => {
+    const { lobbyId } = req.params;
+    const userId = req.user.id;
+
+    try {
+        let lobby = await Lobby.findOne({ lobbyId });
+        if (!lobby) {
+            return res.status(404).json({ msg: 'Lobby not found' });
+        }
+
+        if (lobby.hostId !== userId) {
+            return res.status(403).json({ msg: 'Only the host can start the game' });
+        }
+
+        if (lobby.players.length < 2) {
+            return res.status(400).json({ msg: 'Need at least 2 players to start' });
+        }
+
+        if (!lobby.players.every(p => p.isReady)) {
+            return res.status(400).json({ msg: 'Not all players are ready' });
+        }
+
+        const { error } = await startLobbyGame(lobby);
+        if (error) {
+            return res.status(400).json({ msg: error });
+        }
+        res.json({ msg: 'Game started', lobby: lobbyView(lobby, req.user.id) });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/lobbies/:lobbyId/loadout
+// @desc    Choose the shop abilities to bring into the next game: { items: { [itemId]: quantity } }
+// @access  Private
+router.post('/:lobbyId/loadout', auth, async (req, res) => {
+    const { lobbyId } = req.params;
+    const { items = {} } = req.body;
+    const userId = req.user.id;
+
+    if (typeof items !== 'object' || Array.isArray(items)) {
+        return res.status(400).json({ msg: 'items must map item IDs to quantities' });
+    }
+
+    try {
+        const lobby = await Lobby.findOne({ lobbyId });
+        if (!lobby) return res.status(404).json({ msg: 'Lobby not found' });
+        if (lobby.isRanked) return res.status(400).json({ msg: 'Shop abilities cannot be used in ranked matches.' });
+        if (lobby.gameStarted) return res.status(400).json({ msg: 'The game has already started.' });
+
+        const player = lobby.players.find(p => p.id === userId);
+        if (!player) return res.status(403).json({ msg: 'You are not in this lobby.' });
+
+        const user = await User.findById(userId);
+        if (!user) return res.status(404).json({ msg: 'User not found' });
+
+        const loadout = new Map();
+        for (const [itemId, quantity] of Object.entries(items)) {
+            const item = findShopItem(itemId);
+            if (!isConsumable(item)) {
+                return res.status(400).json({ msg: `${itemId} is not an ability item.` });
+            }
+            if (!Number.isInteger(quantity) || quantity < 0 || quantity > MAX_LOADOUT_PER_ITEM) {
+                return res.status(400).json({ msg: `You can bring up to ${MAX_LOADOUT_PER_ITEM} of each ability.` });
+            }
+            if (quantity > (user.consumables.get(itemId) || 0)) {
+                return res.status(400).json({ msg: `You do not own ${quantity} ${item.name}.` });
+            }
+            if (quantity > 0) loadout.set(itemId, quantity);
+        }
+
+        player.loadout = loadout;
+        await lobby.save();
+        emitLobbyState(lobby);
+        res.json({ msg: 'Loadout updated', loadout: Object.fromEntries(loadout) });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/lobbies/:lobbyId/use-item
+// @desc    Use an instant shop ability from your loadout during your turn (Hint): { itemId }
+// @access  Private
+router.post('/:lobbyId/use-item', auth, async (req, res) => {
+    const { lobbyId } = req.params;
+    const { itemId } = req.body;
+    const userId = req.user.id;
+
+    const item = findShopItem(itemId);
+    if (!isConsumable(item) || item.use !== 'instant') {
+        return res.status(400).json({ msg: 'That item cannot be used on its own.' });
+    }
+
+    try {
+        const lobby = await Lobby.findOne({ lobbyId });
+        if (!lobby || !lobby.gameStarted) {
+            return res.status(400).json({ msg: 'Game not active or lobby not found' });
+        }
+        const player = lobby.players[lobby.currentPlayerIndex];
+        if (!player || player.id !== userId) {
+            return res.status(403).json({ msg: 'You can only use items during your turn.' });
+        }
+        if (!(player.loadout.get(itemId) > 0)) {
+            return res.status(400).json({ msg: `You have no ${item.name} left in your loadout.` });
+        }
+        if (!(await spendConsumable(userId, itemId))) {
+            return res.status(400).json({ msg: `You no longer own a ${item.name}.` });
+        }
+
+        player.loadout.set(itemId, player.loadout.get(itemId) - 1);
+        const clue = questionClue(lobby.questions[lobby.currentQuestionIndex]);
+        logGameEvent(lobby, 'itemUsed', userId, { itemId, clue });
+        await lobby.save();
+
+        emitToLobby(lobbyId, 'chatMessage', { senderName: 'Game System', message: `${player.name} used a ${item.name}!` });
+        emitLobbyState(lobby);
+        res.json({ msg: `${item.name} used`, itemId, clue, lobby: lobbyView(lobby, req.user.id) });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/lobbies/:lobbyId/answer
+// @desc    Submit an answer during a game, optionally spending abilities: { userAnswer, useItems: [itemId] }
+// @access  Private
+router.post('/:lobbyId/answer', auth, async (req, res) => {
+    const { lobbyId } = req.params;
+    const { userAnswer, useItems } = req.body;
+    const userId = req.user.id;
+
+    try {
+        let lobby = await Lobby.findOne({ lobbyId });
+        if (!lobby || !lobby.gameStarted) {
+            return res.status(400).json({ msg: 'Game not active or lobby not found' });
+        }
+
+        const currentPlayerInTurn = lobby.players.find(p => p.id === userId); // Find the actual player object
+        if (!currentPlayerInTurn || currentPlayerInTurn.id !== lobby.players[lobby.currentPlayerIndex].id) {
+            return res.status(403).json({ msg: 'It is not your turn or you are not in this game.' });
+        }
+
+        if (lobby.turnDeadline && Date.now() > lobby.turnDeadline.getTime() + TURN_GRACE_MS) {
+            return res.status(400).json({ msg: 'Time is up for this turn.' });
+        }
+
+        const currentQuestion = lobby.questions[lobby.currentQuestionIndex];
+        const verdict = matchAnswer(userAnswer, {
+            answers: currentQuestion.answers.length > 0 ? currentQuestion.answers : [currentQuestion.a],
+            matchMode: currentQuestion.matchMode,
+            displayAnswer: currentQuestion.a
+        });
+
+        // Spend the abilities declared with this answer; undo everything if one is missing
+        const itemIds = [...new Set(Array.isArray(useItems) ? useItems : [])];
+        for (const itemId of itemIds) {
+            const item = findShopItem(itemId);
+            if (!isConsumable(item) || item.use !== 'with-answer') {
+                return res.status(400).json({ msg: `${itemId} cannot be used with an answer.` });
+            }
+            if (!(currentPlayerInTurn.loadout.get(itemId) > 0)) {
+                return res.status(400).json({ msg: `You have no ${item.name} left in your loadout.` });
+            }
+        }
+        const spent = [];
+        for (const itemId of itemIds) {
+            if (!(await spendConsumable(userId, itemId))) {
+                await Promise.all(spent.map(id => refundConsumable(userId, id)));
+                return res.status(400).json({ msg: `You no longer own a ${findShopItem(itemId).name}.` });
+            }
+            spent.push(itemId);
+        }
+        if (!(await claimTurn(lobby))) { // The turn timed out (or was answered) meanwhile
+            await Promise.all(spent.map(id => refundConsumable(userId, id)));
+            return res.status(409).json({ msg: 'This turn is already over.' });
+        }
+        spent.forEach(itemId => currentPlayerInTurn.loadout.set(itemId, currentPlayerInTurn.loadout.get(itemId) - 1));
+
+        const items = {
+            doublePoints: spent.includes('ability_double_points'),
+            shield: spent.includes('ability_shield')
+        };
+        const { gameOver } = await runClaimedTurn(lobby, async () => {
+            const outcome = await resolveTurn(lobby, currentPlayerInTurn, verdict.isCorrect, { answer: userAnswer, verdict, items });
+            await commitTurn(lobby, outcome.gameOver);
+            return outcome;
+        });
+
+        res.json({ msg: gameOver ? 'Game over' : 'Answer processed', verdict, itemsUsed: spent, lobby: lobbyView(lobby, req.user.id) });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/lobbies/:lobbyId/use-card
+// @desc    Play an ability card from your hand (Frenzy Mode)
+// @access  Private
+router.post('/:lobbyId/use-card', auth, async (req, res) => {
+    const { lobbyId } = req.params;
+    const { cardId, targetPlayerId, controlAction } = req.body;
+    const userId = req.user.id;
+
+    if (!cardId) {
+        return res.status(400).json({ msg: 'cardId is required' });
+    }
+
+    try {
+        let lobby = await Lobby.findOne({ lobbyId });
+        if (!lobby || !lobby.gameStarted) {
+            return res.status(400).json({ msg: 'Game not active or lobby not found' });
+        }
+
+        const player = lobby.players.find(p => p.id === userId);
+        if (!player || player.lives <= 0) {
+            return res.status(403).json({ msg: 'You are not playing in this game.' });
+        }
+
+        const options = { targetPlayerId, controlAction };
+        const error = cardPlayError(lobby, userId, cardId, options);
+        if (error) {
+            return res.status(400).json({ msg: error });
+        }
+
+        let result;
+        if (cardId === 'card_control') {
+            // Control ends the turn like an answer does, so it claims it; the new player gets a fresh clock
+            const { turnNumber, turnDeadline } = lobby;
+            if (!(await claimTurn(lobby))) {
+                return res.status(409).json({ msg: 'This turn is already over.' });
+            }
+            result = applyCardEffect(lobby, player, cardId, options);
+            if (result.error) { // The hand changed since it was checked
+                await releaseTurn(lobby, turnNumber, turnDeadline);
+                return res.status(409).json({ msg: 'Your hand changed meanwhile. Try again.' });
+            }
+            await runClaimedTurn(lobby, async () => {
+                logCardPlay(lobby, player, cardId, options, result);
+                startTurn(lobby);
+                await lobby.save();
+            });
+        } else {
+            result = applyCardEffect(lobby, player, cardId, options);
+            if (!(await saveCardPlay(lobby, player))) {
+                return res.status(409).json({ msg: 'The game moved on meanwhile. Try again.' });
+            }
+            logCardPlay(lobby, player, cardId, options, result);
+        }
+
+        emitToLobby(lobbyId, 'chatMessage', { senderName: 'Game System', message: result.message });
+        if (result.reveal) {
+            emitToUser(userId, 'cardReveal', { cardId, ...result.reveal });
+        }
+        emitLobbyState(lobby);
+        if (cardId === 'card_control') {
+            emitTurnStarted(lobby);
+        }
+        res.json({ msg: 'Card played', cardId, reveal: result.reveal, lobby: lobbyView(lobby, req.user.id) });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+const chatRateLimiter = createRateLimiter(CHAT_RATE_LIMIT);
+const chatReportLimiter = createRateLimiter(REPORT_RATE_LIMIT);
+const wordFilter = createWordFilter(BLOCKED_WORDS);
+
+const minutesUntil = (date) => Math.max(1, Math.ceil((date - Date.now()) / 60000));
+
+// Checks shared by the player and spectator chat: mutes (the host's in this lobby, a
+// moderator's everywhere), the length cap and the rate limit. Blocked words are masked.
+// Returns { message } or { status, msg }.
+const prepareChatMessage = async (lobby, userId, message) => {
+    const text = typeof message === 'string' ? message.trim() : '';
+    if (!text) return { status: 400, msg: 'Message cannot be empty' };
+    if (text.length > MAX_CHAT_MESSAGE_LENGTH) {
+        return { status: 400, msg: `Messages are limited to ${MAX_CHAT_MESSAGE_LENGTH} characters` };
+    }
+
+    const lobbyMute = lobby.chatMutes.find(m => m.userId === userId && m.until > new Date());
+    if (lobbyMute) {
+        return { status: 403, msg: `The host muted you in this lobby for ${minutesUntil(lobbyMute.until)} more minute(s).` };
+    }
+    const user = await User.findById(userId).select('chatMutedUntil');
+    if (user && user.chatMutedUntil && user.chatMutedUntil > new Date()) {
+        return { status: 403, msg: `A moderator muted you from chat for ${minutesUntil(user.chatMutedUntil)} more minute(s).` };
+    }
+    if (!chatRateLimiter.hit(userId)) {
+        return { status: 429, msg: 'You are sending messages too quickly. Slow down.' };
+    }
+    return { message: wordFilter.mask(text) };
+};
+
+// @route   POST /api/lobbies/:lobbyId/chat
+// @desc    Send a chat message in a lobby: { message }
+// @access  Private
+router.post('/:lobbyId/chat', auth, async (req, res) => {
+    const { lobbyId } = req.params;
+    const userId = req.user.id;
+    const username = req.user.username;
+
+    try {
+        let lobby = await Lobby.findOne({ lobbyId });
+        if (!lobby) {
+            return res.status(404).json({ msg: 'Lobby not found' });
+        }
+        // Spectators have their own channel, see /spectator-chat
+        if (!lobby.players.some(p => p.id === userId) && !lobby.eliminatedPlayers.some(p => p.id === userId)) {
+            return res.status(403).json({ msg: 'Only players can chat in this lobby.' });
+        }
+        const { message, status, msg } = await prepareChatMessage(lobby, userId, req.body.message);
+        if (!message) return res.status(status).json({ msg });
+
+        const chatMessage = {
+            _id: new mongoose.Types.ObjectId(),
+            senderId: userId,
+            senderName: username,
+            message,
+            timestamp: new Date()
         };
+        // Pushed rather than saved with the lobby, so chat never overwrites game state
+        await Lobby.updateOne({ _id: lobby._id }, { $push: { chatMessages: { $each: [chatMessage], $slice: -MAX_CHAT_HISTORY } } });
+
+        emitToLobby(lobbyId, 'chatMessage', chatMessage); // Emit to all in lobby
+        res.status(201).json({ msg: 'Message sent' });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// Shared checks for the host moderation routes. Returns { lobby } or { status, msg }.
+const findHostedLobby = async (lobbyId, userId, { beforeStart = false } = {}) => {
+    const lobby = await Lobby.findOne({ lobbyId });
+    if (!lobby) return { status: 404, msg: 'Lobby not found' };
+    if (lobby.hostId !== userId) return { status: 403, msg: 'Only the host can do this' };
+    if (lobby.isRanked) return { status: 400, msg: 'Ranked lobbies have no host controls' };
+    if (beforeStart && lobby.gameStarted) return { status: 400, msg: 'The game has already started' };
+    return { lobby };
+};
+
+const isIntegerInRange = (value, [min, max]) => Number.isInteger(value) && value >= min && value <= max;
+
+// Why the given lobby settings are out of range, or null. Omitted settings are not checked.
+const lobbySettingsRangeError = ({ initialLives, questionTimer, maxPlayers }) => {
+    if (initialLives !== undefined && !isIntegerInRange(initialLives, LIVES_RANGE)) {
+        return `initialLives must be from ${LIVES_RANGE[0]} to ${LIVES_RANGE[1]}`;
+    }
+    if (questionTimer !== undefined && !isIntegerInRange(questionTimer, QUESTION_TIMER_RANGE)) {
+        return `questionTimer must be from ${QUESTION_TIMER_RANGE[0]} to ${QUESTION_TIMER_RANGE[1]} seconds`;
+    }
+    if (maxPlayers !== undefined && !isIntegerInRange(maxPlayers, [MIN_LOBBY_PLAYERS, MAX_LOBBY_PLAYERS])) {
+        return `maxPlayers must be from ${MIN_LOBBY_PLAYERS} to ${MAX_LOBBY_PLAYERS}`;
+    }
+    return null;
+};
+
+// @route   GET /api/lobbies/:lobbyId/join-code
+// @desc    The join code of a private lobby, for its members to share
+// @access  Private (lobby members)
+router.get('/:lobbyId/join-code', auth, async (req, res) => {
+    try {
+        const lobby = await Lobby.findOne({ lobbyId: req.params.lobbyId }).select('players isPrivate joinCode');
+        if (!lobby) return res.status(404).json({ msg: 'Lobby not found' });
+        if (!lobby.players.some(p => p.id === req.user.id)) {
+            return res.status(403).json({ msg: 'Only lobby members can see the join code.' });
+        }
+        res.json({ isPrivate: lobby.isPrivate, joinCode: lobby.joinCode });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   PUT /api/lobbies/:lobbyId/settings
+// @desc    Change settings before the game starts: { initialLives, questionTimer, isFrenzyMode,
+//          maxPlayers, isPrivate, regenerateJoinCode }. Omitted fields are left unchanged.
+// @access  Private (host only)
+router.put('/:lobbyId/settings', auth, async (req, res) => {
+    const { initialLives, questionTimer, isFrenzyMode, maxPlayers, isPrivate, regenerateJoinCode } = req.body;
+
+    const rangeError = lobbySettingsRangeError({ initialLives, questionTimer, maxPlayers });
+    if (rangeError) return res.status(400).json({ msg: rangeError });
+    if ((isFrenzyMode !== undefined && typeof isFrenzyMode !== 'boolean') || (isPrivate !== undefined && typeof isPrivate !== 'boolean')) {
+        return res.status(400).json({ msg: 'isFrenzyMode and isPrivate must be true or false' });
+    }
+
+    try {
+        const { lobby, status, msg } = await findHostedLobby(req.params.lobbyId, req.user.id, { beforeStart: true });
+        if (!lobby) return res.status(status).json({ msg });
+        if (maxPlayers !== undefined && maxPlayers < lobby.players.length) {
+            return res.status(400).json({ msg: `There are already ${lobby.players.length} players in the lobby.` });
+        }
+
+        if (initialLives !== undefined) {
+            lobby.initialLives = initialLives;
+            lobby.players.forEach(p => { p.lives = initialLives; });
+        }
+        if (questionTimer !== undefined) lobby.questionTimer = questionTimer;
+        if (maxPlayers !== undefined) lobby.maxPlayers = maxPlayers;
+        if (isFrenzyMode !== undefined && isFrenzyMode !== lobby.isFrenzyMode) {
+            lobby.isFrenzyMode = isFrenzyMode;
+            lobby.players.forEach(p => { p.cards = dealStartingCards(isFrenzyMode); });
+        }
+        if (isPrivate !== undefined) lobby.isPrivate = isPrivate;
+
+        // joinCode is not loaded with the lobby, so it never goes out with lobbyUpdated
+        let { joinCode } = await Lobby.findById(lobby._id).select('joinCode');
+        if (lobby.isPrivate && (regenerateJoinCode || !joinCode)) {
+            joinCode = randomCode(JOIN_CODE_LENGTH);
+            lobby.joinCode = joinCode;
+        } else if (!lobby.isPrivate && joinCode) {
+            joinCode = null;
+            lobby.joinCode = null;
+        }
+        await lobby.save();
+
+        lobby.joinCode = undefined;
+        emitLobbyState(lobby);
+        res.json({ msg: 'Settings updated', lobby: lobbyView(lobby, req.user.id), joinCode });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   PUT /api/lobbies/:lobbyId/lock
+// @desc    Lock or unlock the lobby: { locked }. Nobody new can join a locked lobby.
+// @access  Private (host only)
+router.put('/:lobbyId/lock', auth, async (req, res) => {
+    const { locked } = req.body;
+    if (typeof locked !== 'boolean') {
+        return res.status(400).json({ msg: 'locked must be true or false' });
+    }
+
+    try {
+        const { lobby, status, msg } = await findHostedLobby(req.params.lobbyId, req.user.id);
+        if (!lobby) return res.status(status).json({ msg });
+
+        lobby.isLocked = locked;
+        await lobby.save();
+        emitLobbyState(lobby);
+        res.json({ msg: locked ? 'Lobby locked' : 'Lobby unlocked', lobby: lobbyView(lobby, req.user.id) });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/lobbies/:lobbyId/kick
+// @desc    Remove a player before the game starts: { userId, ban }. Banned users cannot rejoin or spectate.
+// @access  Private (host only)
+router.post('/:lobbyId/kick', auth, async (req, res) => {
+    const { userId: targetId, ban = false } = req.body;
+    if (targetId === req.user.id) {
+        return res.status(400).json({ msg: 'You cannot kick yourself. Leave the lobby instead.' });
+    }
+
+    try {
+        const { lobby, status, msg } = await findHostedLobby(req.params.lobbyId, req.user.id, { beforeStart: true });
+        if (!lobby) return res.status(status).json({ msg });
+        const target = lobby.players.find(p => p.id === targetId && p.type === 'human');
+        if (!target) return res.status(404).json({ msg: 'Player not found in this lobby' });
+
+        lobby.players = lobby.players.filter(p => p.id !== targetId);
+        if (ban && !lobby.bannedIds.includes(targetId)) lobby.bannedIds.push(targetId);
+        await lobby.save();
+
+        io.in(userRoom(targetId)).socketsLeave(lobby.lobbyId);
+        emitToUser(targetId, 'kickedFromLobby', { lobbyId: lobby.lobbyId, banned: !!ban });
+        emitToLobby(lobby.lobbyId, 'chatMessage', { senderName: 'Game System', message: `${target.name} was ${ban ? 'banned' : 'kicked'} by the host.` });
+        emitLobbyState(lobby);
+        res.json({ msg: `${target.name} ${ban ? 'banned' : 'kicked'}`, lobby: lobbyView(lobby, req.user.id) });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   DELETE /api/lobbies/:lobbyId/bans/:userId
+// @desc    Lift a ban
+// @access  Private (host only)
+router.delete('/:lobbyId/bans/:userId', auth, async (req, res) => {
+    try {
+        const { lobby, status, msg } = await findHostedLobby(req.params.lobbyId, req.user.id);
+        if (!lobby) return res.status(status).json({ msg });
+        if (!lobby.bannedIds.includes(req.params.userId)) {
+            return res.status(404).json({ msg: 'That user is not banned' });
+        }
+
+        lobby.bannedIds = lobby.bannedIds.filter(id => id !== req.params.userId);
+        await lobby.save();
+        emitLobbyState(lobby);
+        res.json({ msg: 'Ban lifted', lobby: lobbyView(lobby, req.user.id) });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/lobbies/:lobbyId/transfer-host
+// @desc    Make another human player the host: { userId }
+// @access  Private (host only)
+router.post('/:lobbyId/transfer-host', auth, async (req, res) => {
+    const { userId: targetId } = req.body;
+
+    try {
+        const { lobby, status, msg } = await findHostedLobby(req.params.lobbyId, req.user.id);
+        if (!lobby) return res.status(status).json({ msg });
+        const target = lobby.players.find(p => p.id === targetId && p.type === 'human');
+        if (!target || targetId === req.user.id) {
+            return res.status(400).json({ msg: 'Choose another human player in this lobby' });
+        }
+
+        lobby.hostId = target.id;
+        await lobby.save();
+        emitToLobby(lobby.lobbyId, 'chatMessage', { senderName: 'Game System', message: `${target.name} is now the host.` });
+        emitLobbyState(lobby);
+        res.json({ msg: `${target.name} is now the host`, lobby: lobbyView(lobby, req.user.id) });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/lobbies/:lobbyId/invites
+// @desc    Invite a friend: { userId }. They get a 'lobbyInvite' notification and can join with
+//          /:lobbyId/join without the join code, even if the lobby is locked.
+// @access  Private (lobby players; only the host while the lobby is locked)
+router.post('/:lobbyId/invites', auth, async (req, res) => {
+    const { lobbyId } = req.params;
+    const { userId: inviteeId } = req.body;
+    const userId = req.user.id;
+    if (typeof inviteeId !== 'string' || inviteeId === userId) {
+        return res.status(400).json({ msg: 'Choose a friend to invite' });
+    }
+    if (!lobbyInviteLimiter.hit(userId)) {
+        return res.status(429).json({ msg: 'You are sending invites too quickly. Try again in a minute.' });
+    }
+
+    try {
+        const lobby = await Lobby.findOne({ lobbyId });
+        if (!lobby) return res.status(404).json({ msg: 'Lobby not found' });
+        if (!lobby.players.some(p => p.id === userId)) {
+            return res.status(403).json({ msg: 'Only players in this lobby can invite' });
+        }
+        if (lobby.isRanked || lobby.tournamentId) {
+            return res.status(400).json({ msg: 'Players are seated automatically in this lobby' });
+        }
+        if (lobby.isLocked && lobby.hostId !== userId) {
+            return res.status(403).json({ msg: 'Only the host can invite while the lobby is locked' });
+        }
+        if (lobby.players.length >= lobby.maxPlayers || lobby.gameStarted) {
+            return res.status(400).json({ msg: 'Lobby is full or game has started' });
+        }
+        if (lobby.players.some(p => p.id === inviteeId)) {
+            return res.status(400).json({ msg: 'That player is already in this lobby' });
+        }
+        if (lobby.bannedIds.includes(inviteeId)) {
+            return res.status(400).json({ msg: 'That player is banned from this lobby' });
+        }
 
-        lobby.players.push(playerToAdd);
+        const inviter = await User.findById(userId).select('friendIds');
+        if (!inviter || !inviter.friendIds.includes(inviteeId)) {
+            return res.status(403).json({ msg: 'You can only invite friends' });
+        }
+
+        const invites = pendingInvites(lobby).filter(i => i.userId !== inviteeId);
+        if (invites.length >= MAX_PENDING_LOBBY_INVITES) {
+            return res.status(400).json({ msg: 'This lobby has too many pending invites' });
+        }
+        const expiresAt = new Date(Date.now() + LOBBY_INVITE_TTL_MS);
+        lobby.invites = [...invites, { userId: inviteeId, invitedBy: userId, invitedByName: req.user.username, expiresAt }];
         await lobby.save();
 
-        io.to(lobbyId).emit('lobbyUpdated', lobby); // Emit update to lobby members
-        res.json(lobby);
+        emitToUser(inviteeId, 'lobbyInvite', {
+            lobbyId,
+            lobbyName: lobby.name,
+            type: lobby.type,
+            players: lobby.players.length,
+            maxPlayers: lobby.maxPlayers,
+            from: { userId, username: req.user.username },
+            expiresAt
+        });
+        res.json({ msg: 'Invite sent', expiresAt });
     } catch (err) {
         console.error(err.message);
         res.status(500).send('Server error');
     }
 });
 
-// @route   POST /api/lobbies/:lobbyId/leave
-// @desc    Leave a lobby
+// @route   POST /api/lobbies/:lobbyId/invites/decline
+// @desc    Turn down an invite to this lobby; the inviter is told with 'lobbyInviteDeclined'
 // @access  Private
-router.post('/:lobbyId/leave', auth, async (req, res) => {
+router.post('/:lobbyId/invites/decline', auth, async (req, res) => {
     const { lobbyId } = req.params;
     const userId = req.user.id;
 
     try {
-        let lobby = await Lobby.findOne({ lobbyId });
-        if (!lobby) {
-            return res.status(404).json({ msg: 'Lobby not found' });
-        }
+        const lobby = await Lobby.findOne({ lobbyId });
+        const invite = lobby && lobby.invites.find(i => i.userId === userId);
+        if (!invite) return res.status(404).json({ msg: 'No invite to this lobby' });
 
-        const initialPlayerCount = lobby.players.length;
-        lobby.players = lobby.players.filter(p => p.id !== userId);
+        lobby.invites = pendingInvites(lobby).filter(i => i.userId !== userId);
+        await lobby.save();
+        emitToUser(invite.invitedBy, 'lobbyInviteDeclined', { lobbyId, userId, username: req.user.username });
+        res.json({ msg: 'Invite declined' });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
 
-        if (lobby.players.length === initialPlayerCount) {
-            return res.status(400).json({ msg: 'User not found in lobby' });
-        }
+// @route   POST /api/lobbies/:lobbyId/mute
+// @desc    Mute a player or spectator in this lobby's chat: { userId, minutes }
+// @access  Private (host only)
+router.post('/:lobbyId/mute', auth, async (req, res) => {
+    const { userId: targetId } = req.body;
+    const minutes = Number(req.body.minutes);
+    if (!isIntegerInRange(minutes, [1, MAX_LOBBY_MUTE_MINUTES])) {
+        return res.status(400).json({ msg: `minutes must be from 1 to ${MAX_LOBBY_MUTE_MINUTES}` });
+    }
+    if (targetId === req.user.id) {
+        return res.status(400).json({ msg: 'You cannot mute yourself' });
+    }
 
-        // If no human players left, delete the lobby
-        if (lobby.players.filter(p => p.type === 'human').length === 0) {
-            await Lobby.deleteOne({ lobbyId });
-            io.emit('lobbyDeleted', lobbyId); // Notify all clients
-            return res.json({ msg: 'Lobby deleted as no human players remain' });
-        }
+    try {
+        const { lobby, status, msg } = await findHostedLobby(req.params.lobbyId, req.user.id);
+        if (!lobby) return res.status(status).json({ msg });
+        const target = [...lobby.players, ...lobby.eliminatedPlayers, ...lobby.spectators]
+            .find(p => p.id === targetId && p.type !== 'bot');
+        if (!target) return res.status(404).json({ msg: 'Player not found in this lobby' });
+
+        const until = new Date(Date.now() + minutes * 60 * 1000);
+        lobby.chatMutes = [...lobby.chatMutes.filter(m => m.userId !== targetId && m.until > new Date()), { userId: targetId, until }];
+        await lobby.save();
 
-        // If the host left, assign new host (first human player)
-        if (lobby.hostId === userId) {
-            const newHost = lobby.players.find(p => p.type === 'human');
-            if (newHost) {
-                lobby.hostId = newHost.id;
-            } else {
-                // Should not happen if previous check passed, but safety
-                await Lobby.deleteOne({ lobbyId });
-                io.emit('lobbyDeleted', lobbyId);
-                return res.json({ msg: 'Lobby deleted as no human players remain' });
-            }
+        emitToUser(targetId, 'chatMuted', { lobbyId: lobby.lobbyId, until });
+        emitToLobby(lobby.lobbyId, 'chatMessage', { senderName: 'Game System', message: `${target.name} was muted for ${minutes} minute(s).` });
+        emitLobbyState(lobby);
+        res.json({ msg: `${target.name} muted`, until });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   DELETE /api/lobbies/:lobbyId/mute/:userId
+// @desc    Lift a mute
+// @access  Private (host only)
+router.delete('/:lobbyId/mute/:userId', auth, async (req, res) => {
+    try {
+        const { lobby, status, msg } = await findHostedLobby(req.params.lobbyId, req.user.id);
+        if (!lobby) return res.status(status).json({ msg });
+        if (!lobby.chatMutes.some(m => m.userId === req.params.userId && m.until > new Date())) {
+            return res.status(404).json({ msg: 'That user is not muted' });
         }
 
+        lobby.chatMutes = lobby.chatMutes.filter(m => m.userId !== req.params.userId && m.until > new Date());
         await lobby.save();
-        io.to(lobbyId).emit('lobbyUpdated', lobby); // Emit update to lobby members
-        res.json({ msg: 'Left lobby successfully', lobby });
+        emitToUser(req.params.userId, 'chatUnmuted', { lobbyId: lobby.lobbyId });
+        emitLobbyState(lobby);
+        res.json({ msg: 'Mute lifted' });
     } catch (err) {
         console.error(err.message);
         res.status(500).send('Server error');
     }
 });
 
-// @route   POST /api/lobbies/:lobbyId/ready
-// @desc    Toggle player ready status
+// @route   POST /api/lobbies/:lobbyId/chat/:messageId/report
+// @desc    Report a chat message to the moderators: { reason }. Players can report the lobby
+//          chat, spectators the spectator chat.
 // @access  Private
-router.post('/:lobbyId/ready', auth, async (req, res) => {
-    const { lobbyId } = req.params;
+router.post('/:lobbyId/chat/:messageId/report', auth, async (req, res) => {
+    const { lobbyId, messageId } = req.params;
     const userId = req.user.id;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, MAX_CHAT_MESSAGE_LENGTH) : '';
+    if (chatReportLimiter.isLimited(userId)) {
+        return res.status(429).json({ msg: 'You have sent too many reports. Try again later.' });
+    }
 
     try {
-        let lobby = await Lobby.findOne({ lobbyId });
+        const lobby = await Lobby.findOne({ lobbyId }).select('+spectatorChat');
         if (!lobby) {
             return res.status(404).json({ msg: 'Lobby not found' });
         }
-
-        const player = lobby.players.find(p => p.id === userId);
-        if (!player) {
-            return res.status(400).json({ msg: 'Player not in this lobby' });
+        const channels = [];
+        if (lobby.players.some(p => p.id === userId) || lobby.eliminatedPlayers.some(p => p.id === userId)) {
+            channels.push({ channel: 'lobby', messages: lobby.chatMessages });
         }
-
-        if (lobby.isRanked) {
-             return res.status(400).json({ msg: 'Players are automatically ready in ranked lobbies.' });
+        if (lobby.spectators.some(s => s.id === userId)) {
+            channels.push({ channel: 'spectator', messages: lobby.spectatorChat });
+        }
+        if (channels.length === 0) {
+            return res.status(403).json({ msg: 'Only players and spectators of this lobby can report its chat.' });
         }
 
-        player.isReady = !player.isReady;
-        await lobby.save();
+        const found = channels
+            .map(({ channel, messages }) => ({ channel, chatMessage: messages.find(m => m._id && m._id.toString() === messageId) }))
+            .find(({ chatMessage }) => chatMessage);
+        if (!found) {
+            return res.status(404).json({ msg: 'Message not found. It may be too old to report.' });
+        }
+        const { channel, chatMessage } = found;
+        if (chatMessage.senderId === userId) {
+            return res.status(400).json({ msg: 'You cannot report your own message' });
+        }
 
-        io.to(lobbyId).emit('lobbyUpdated', lobby);
-        res.json({ msg: 'Ready status updated', playerReady: player.isReady });
+        chatReportLimiter.hit(userId);
+        await ChatReport.create({
+            lobbyId,
+            channel,
+            messageId,
+            message: chatMessage.message,
+            senderId: chatMessage.senderId,
+            senderName: chatMessage.senderName,
+            sentAt: chatMessage.timestamp,
+            reporterId: userId,
+            reporterName: req.user.username,
+            reason
+        });
+        res.status(201).json({ msg: 'Thanks, a moderator will review this message' });
     } catch (err) {
+        if (err.code === 11000) return res.status(400).json({ msg: 'You already reported this message' });
         console.error(err.message);
         res.status(500).send('Server error');
     }
 });
 
-// @route   POST /api/lobbies/:lobbyId/start
-// @desc    Start the game in a lobby
+// @route   POST /api/lobbies/:lobbyId/spectate
+// @desc    Watch a lobby or running game without taking a player slot
 // @access  Private
-router.post('/:lobbyId/start', auth, async (req, res) => {
+router.post('/:lobbyId/spectate', auth, async (req, res) => {
     const { lobbyId } = req.params;
     const userId = req.user.id;
 
     try {
-        let lobby = await Lobby.findOne({ lobbyId });
+        const lobby = await Lobby.findOne({ lobbyId });
         if (!lobby) {
             return res.status(404).json({ msg: 'Lobby not found' });
         }
-
-        if (lobby.hostId !== userId) {
-            return res.status(403).json({ msg: 'Only the host can start the game' });
+        if (!lobby.allowSpectators) {
+            return res.status(403).json({ msg: 'The host has disabled spectating for this lobby.' });
         }
-
-        if (lobby.players.length < 2) {
-            return res.status(400).json({ msg: 'Need at least 2 players to start' });
+        if (lobby.bannedIds.includes(userId)) {
+            return res.status(403).json({ msg: 'You have been banned from this lobby.' });
         }
-
-        if (!lobby.players.every(p => p.isReady)) {
-            return res.status(400).json({ msg: 'Not all players are ready' });
+        if (lobby.isPrivate && !lobby.spectators.some(s => s.id === userId)) {
+            if (joinCodeFailureLimiter.isLimited(userId)) {
+                return res.status(429).json({ msg: 'Too many wrong join codes. Try again later.' });
+            }
+            const { joinCode } = await Lobby.findById(lobby._id).select('joinCode');
+            if (!joinCodeMatches(joinCode, req.body.joinCode, userId)) {
+                return res.status(403).json({ msg: 'This lobby is private. A valid join code is required.' });
+            }
         }
-
-        // Initialize game state for the lobby
-        lobby.gameStarted = true;
-        lobby.currentQuestionIndex = 0;
-        lobby.currentPlayerIndex = 0;
-        lobby.playerCycles = 0; // Reset for new game
-
-        // Determine questions based on lobby type
-        if (lobby.type.includes('qna')) {
-            lobby.questions = [...originalQuestions].sort(() => Math.random() - 0.5);
-        } else if (lobby.type.includes('fill-in-blanks')) {
-            lobby.questions = [...fillInBlanksQuestions].sort(() => Math.random() - 0.5);
-        } else {
-            lobby.questions = [...originalQuestions].sort(() => Math.random() - 0.5); // Default
+        if (lobby.players.some(p => p.id === userId)) {
+            return res.status(400).json({ msg: 'You are playing in this lobby.' });
         }
 
-        // Reset player specific game stats for the new game
-        lobby.players = lobby.players.map(p => {
-            const getStartingCards = () => {
-                if (!lobby.isFrenzyMode) return [];
-                const cards = [];
-                for (let i = 0; i < 3; i++) {
-                    const randomCard = abilityCards[Math.floor(Math.random() * abilityCards.length)];
-                    cards.push({ id: randomCard.id, name: randomCard.name });
-                }
-                return cards;
-            };
-
-            return {
-                ...p.toObject(), // Convert Mongoose document to plain object
-                lives: lobby.initialLives,
-                currentRoundScore: 0,
-                roundCorrectAnswers: 0,
-                roundTotalAnswers: 0,
-                cards: getStartingCards(), // Re-deal cards for new game
-                shields: 0,
-                goldenDefenseUsed: false
-            };
-        });
-
-        await lobby.save();
+        if (!lobby.spectators.some(s => s.id === userId)) {
+            lobby.spectators.push({ id: userId, name: req.user.username });
+            await lobby.save();
+            emitLobbyState(lobby); // Everyone sees the new spectator count
+        }
+        io.in(userRoom(userId)).socketsJoin(spectatorRoom(lobbyId));
 
-        io.to(lobbyId).emit('gameStarted', lobby);
-        res.json({ msg: 'Game started', lobby });
+        const { spectatorChat } = await Lobby.findById(lobby._id).select('spectatorChat');
+        res.json({ lobby: lobbyView(lobby), spectatorChat });
     } catch (err) {
         console.error(err.message);
         res.status(500).send('Server error');
     }
 });
 
-// @route   POST /api/lobbies/:lobbyId/answer
-// @desc    Submit an answer during a game
+// @route   DELETE /api/lobbies/:lobbyId/spectate
+// @desc    Stop watching a lobby
 // @access  Private
-router.post('/:lobbyId/answer', auth, async (req, res) => {
+router.delete('/:lobbyId/spectate', auth, async (req, res) => {
     const { lobbyId } = req.params;
-    const { userAnswer } = req.body;
     const userId = req.user.id;
 
     try {
-        let lobby = await Lobby.findOne({ lobbyId });
-        if (!lobby || !lobby.gameStarted) {
-            return res.status(400).json({ msg: 'Game not active or lobby not found' });
+        const lobby = await Lobby.findOne({ lobbyId });
+        if (!lobby) {
+            return res.status(404).json({ msg: 'Lobby not found' });
         }
-
-        const currentPlayerInTurn = lobby.players.find(p => p.id === userId); // Find the actual player object
-        if (!currentPlayerInTurn || currentPlayerInTurn.id !== lobby.players[lobby.currentPlayerIndex].id) {
-            return res.status(403).json({ msg: 'It is not your turn or you are not in this game.' });
+        io.in(userRoom(userId)).socketsLeave(spectatorRoom(lobbyId));
+        if (!lobby.spectators.some(s => s.id === userId)) {
+            return res.status(400).json({ msg: 'You are not spectating this lobby.' });
         }
 
-        const currentQuestion = lobby.questions[lobby.currentQuestionIndex];
-        const isCorrect = userAnswer.toLowerCase() === currentQuestion.a.toLowerCase();
+        lobby.spectators = lobby.spectators.filter(s => s.id !== userId);
+        await lobby.save();
+        emitLobbyState(lobby);
+        res.json({ msg: 'Stopped spectating' });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
 
-        let actualIsCorrect = isCorrect;
+// @route   PUT /api/lobbies/:lobbyId/spectating
+// @desc    Allow or disable spectating (host only): { allowSpectators }. Disabling removes current spectators.
+// @access  Private
+router.put('/:lobbyId/spectating', auth, async (req, res) => {
+    const { lobbyId } = req.params;
+    const { allowSpectators } = req.body;
 
-        // Apply Golden Defense logic
-        if (!isCorrect && currentPlayerInTurn.shields > 0) {
-            currentPlayerInTurn.shields--;
-            actualIsCorrect = true; // Treat as correct for life deduction purposes
-            io.to(lobbyId).emit('chatMessage', { senderName: 'Game System', message: `${currentPlayerInTurn.name}'s Golden Defense absorbed the hit! Shields remaining: ${currentPlayerInTurn.shields}` });
-        }
+    if (typeof allowSpectators !== 'boolean') {
+        return res.status(400).json({ msg: 'allowSpectators must be true or false' });
+    }
 
-        currentPlayerInTurn.roundTotalAnswers++;
-        if (actualIsCorrect) {
-            currentPlayerInTurn.roundCorrectAnswers++;
-            // Assume you have a timer on client, so score based on time is client-side.
-            // For server, we can just give a base score. Or pass time left from client.
-            currentPlayerInTurn.currentRoundScore += 100; // Base score for correct answer
-            io.to(lobbyId).emit('chatMessage', { senderName: 'Game System', message: `${currentPlayerInTurn.name} answered correctly!` });
-        } else {
-            currentPlayerInTurn.lives--;
-            currentPlayerInTurn.currentRoundScore -= 50; // Penalty for wrong answer
-            io.to(lobbyId).emit('chatMessage', { senderName: 'Game System', message: `${currentPlayerInTurn.name} answered incorrectly! The answer was "${currentQuestion.a}".` });
+    try {
+        const lobby = await Lobby.findOne({ lobbyId });
+        if (!lobby) {
+            return res.status(404).json({ msg: 'Lobby not found' });
         }
-
-        // Update global user stats in User model
-        const user = await User.findById(userId);
-        if (user) {
-            if (lobby.isRanked) {
-                user.rankedTotalAnswers++;
-                if (isCorrect) { // Only original correctness affects ranked stats
-                    user.rankedCorrectAnswers++;
-                    user.elo += 15;
-                } else {
-                    user.elo -= 10;
-                }
-                if (user.elo < 0) user.elo = 0;
-            } else { // Casual or Custom match
-                user.casualTotalAnswers++;
-                if (isCorrect) { // Only original correctness affects casual stats
-                    user.casualCorrectAnswers++;
-                    user.casualPoints += 10;
-                } else {
-                    user.casualPoints -= 5;
-                }
-                if (user.casualPoints < 0) user.casualPoints = 0;
-            }
-            await user.save(); // Save updated user stats
-        }
-
-        // Check for elimination
-        if (currentPlayerInTurn.lives <= 0) {
-            io.to(lobbyId).emit('chatMessage', { senderName: 'Game System', message: `${currentPlayerInTurn.name} has been eliminated!` });
-            lobby.players = lobby.players.filter(p => p.id !== currentPlayerInTurn.id);
-        }
-
-        // Check for game end
-        if (lobby.players.filter(p => p.type === 'human').length <= 1) { // Only one human player left or no human players
-            lobby.gameStarted = false;
-            // Award tokens to winner (if human)
-            const winner = lobby.players.find(p => p.type === 'human');
-            if (winner) {
-                const winningUser = await User.findById(winner.id);
-                if (winningUser) {
-                    let tokensEarned = 100; // Base tokens
-                    if (lobby.isRanked) tokensEarned += 150;
-                    else if (lobby.isCustom) tokensEarned += 100;
-                    winningUser.tokens += tokensEarned;
-                    await winningUser.save();
-                    io.to(lobbyId).emit('chatMessage', { senderName: 'Game System', message: `${winner.name} won and earned ${tokensEarned} tokens!` });
-                }
-            }
-            io.to(lobbyId).emit('gameEnded', lobby);
-            await lobby.save(); // Save final lobby state
-            return res.json({ msg: 'Game over', lobby });
+        if (lobby.hostId !== req.user.id) {
+            return res.status(403).json({ msg: 'Only the host can change spectating.' });
         }
 
-        // Move to next player
-        lobby.currentPlayerIndex = (lobby.currentPlayerIndex + 1) % lobby.players.length;
-        // Skip eliminated players
-        while (lobby.players[lobby.currentPlayerIndex] && lobby.players[lobby.currentPlayerIndex].lives <= 0) {
-            lobby.currentPlayerIndex = (lobby.currentPlayerIndex + 1) % lobby.players.length;
-        }
-
-        // Move to next question after each answer
-        lobby.currentQuestionIndex++;
-        if (lobby.currentQuestionIndex >= lobby.questions.length) {
-            lobby.currentQuestionIndex = 0; // Loop questions for continuous play
-        }
-
-        // Increment playerCycles only if it was a human player's turn or a bot in multiplayer
-        if (currentPlayerInTurn.type === 'human' || (currentPlayerInTurn.type === 'bot' && !lobby.type.startsWith('solo-'))) {
-            lobby.playerCycles++;
-            // Distribute new card every 2 cycles of players in Frenzy Mode
-            if (lobby.isFrenzyMode && lobby.playerCycles % (lobby.players.length * 2) === 0) {
-                // Distribute a random card to all remaining players
-                const randomCard = abilityCards[Math.floor(Math.random() * abilityCards.length)];
-                lobby.players.forEach(p => p.cards.push({ id: randomCard.id, name: randomCard.name }));
-                io.to(lobbyId).emit('chatMessage', { senderName: 'Game System', message: `New ability cards distributed!` });
-            }
+        lobby.allowSpectators = allowSpectators;
+        if (!allowSpectators && lobby.spectators.length > 0) {
+            io.to(spectatorRoom(lobbyId)).emit('spectatingEnded', { lobbyId, reason: 'disabled' });
+            io.in(spectatorRoom(lobbyId)).socketsLeave(spectatorRoom(lobbyId));
+            lobby.spectators = [];
         }
-
         await lobby.save();
-        io.to(lobbyId).emit('lobbyUpdated', lobby); // Send updated lobby state
-        res.json({ msg: 'Answer processed', lobby });
+        emitLobbyState(lobby);
+        res.json({ msg: allowSpectators ? 'Spectating enabled' : 'Spectating disabled', lobby: lobbyView(lobby, req.user.id) });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
 
+// @route   GET /api/lobbies/:lobbyId/spectator-chat
+// @desc    Spectator chat history (spectators only)
+// @access  Private
+router.get('/:lobbyId/spectator-chat', auth, async (req, res) => {
+    try {
+        const lobby = await Lobby.findOne({ lobbyId: req.params.lobbyId }).select('spectators spectatorChat');
+        if (!lobby) {
+            return res.status(404).json({ msg: 'Lobby not found' });
+        }
+        if (!lobby.spectators.some(s => s.id === req.user.id)) {
+            return res.status(403).json({ msg: 'Only spectators can read the spectator chat.' });
+        }
+        res.json(lobby.spectatorChat);
     } catch (err) {
         console.error(err.message);
         res.status(500).send('Server error');
     }
 });
 
-// @route   POST /api/lobbies/:lobbyId/chat
-// @desc    Send a chat message in a lobby
+// @route   POST /api/lobbies/:lobbyId/spectator-chat
+// @desc    Send a message to the other spectators; players never see it
 // @access  Private
-router.post('/:lobbyId/chat', auth, async (req, res) => {
+router.post('/:lobbyId/spectator-chat', auth, async (req, res) => {
     const { lobbyId } = req.params;
-    const { message } = req.body;
     const userId = req.user.id;
-    const username = req.user.username;
 
     try {
-        let lobby = await Lobby.findOne({ lobbyId });
+        const lobby = await Lobby.findOne({ lobbyId }).select('spectators chatMutes');
         if (!lobby) {
             return res.status(404).json({ msg: 'Lobby not found' });
         }
+        if (!lobby.spectators.some(s => s.id === userId)) {
+            return res.status(403).json({ msg: 'You are not spectating this lobby.' });
+        }
+        const { message, status, msg } = await prepareChatMessage(lobby, userId, req.body.message);
+        if (!message) return res.status(status).json({ msg });
 
         const chatMessage = {
+            _id: new mongoose.Types.ObjectId(),
             senderId: userId,
-            senderName: username,
+            senderName: req.user.username,
             message,
             timestamp: new Date()
         };
+        // Only spectators of the lobby match, so someone who stopped watching meanwhile can't post
+        const result = await Lobby.updateOne(
+            { lobbyId, 'spectators.id': userId },
+            { $push: { spectatorChat: { $each: [chatMessage], $slice: -MAX_CHAT_HISTORY } } }
+        );
+        if (result.matchedCount === 0) {
+            return res.status(403).json({ msg: 'You are not spectating this lobby.' });
+        }
 
-        lobby.chatMessages.push(chatMessage);
-        await lobby.save();
-
-        io.to(lobbyId).emit('chatMessage', chatMessage); // Emit to all in lobby
+        io.to(spectatorRoom(lobbyId)).emit('spectatorChatMessage', { lobbyId, ...chatMessage });
         res.status(201).json({ msg: 'Message sent' });
     } catch (err) {
         console.error(err.message);
@@ -602,83 +2476,145 @@ router.post('/:lobbyId/chat', auth, async (req, res) => {
     }
 });
 
-// @route   POST /api/solo/evaluate
-// @desc    Evaluate solo challenge code using Gemini API
-// @access  Private
-router.post('/solo/evaluate', auth, async (req, res) => {
-    const { code, stageData } = req.body;
-    const userId = req.user.id;
+// Catalogue view sent to clients; hidden tests are only counted, never exposed
+const publicStageSummary = (stage, user) => ({
+    id: stage.id,
+    order: stage.order,
+    title: stage.title,
+    difficulty: stage.difficulty,
+    rewards: stage.rewards,
+    locked: stage.order > user.soloStage,
+    completed: stage.order < user.soloStage,
+    bestAccuracy: user.soloStageAccuracy ? (user.soloStageAccuracy.get(stage.id) ?? null) : null
+});
 
-    if (!code || !stageData) {
-        return res.status(400).json({ msg: 'Code and stage data are required' });
-    }
+const publicStageDetail = (stage, user) => ({
+    ...publicStageSummary(stage, user),
+    problem: stage.problem,
+    starterCode: stage.starterCode,
+    sampleTests: stage.sampleTests,
+    hiddenTestCount: stage.hiddenTests.length
+});
 
+const findSoloStage = (stageId) => soloStages.find(s => s.id === stageId);
+
+// @route   GET /api/lobbies/solo/stages
+// @desc    List solo challenge stages with the user's progress
+// @access  Private
+router.get('/solo/stages', auth, async (req, res) => {
     try {
-        const user = await User.findById(userId);
+        const user = await User.findById(req.user.id).select('soloStage soloStageAccuracy');
         if (!user) return res.status(404).json({ msg: 'User not found' });
-        if (user.penaltyEndTime && new Date() < user.penaltyEndTime) {
-            return res.status(403).json({ msg: 'You are penalized and cannot submit code.' });
-        }
-
-        const prompt = `You are a C++ code evaluator. Your task is to determine if the provided C++ code correctly solves the given problem and produces the exact expected output. Additionally, provide an accuracy score (0-100) based on code simplicity, efficiency, and adherence to best practices.
-
-Problem Description:
-${stageData.problem}
 
-Expected Output:
-${stageData.expectedOutput}
+        const stages = [...soloStages].sort((a, b) => a.order - b.order).map(stage => publicStageSummary(stage, user));
+        res.json({ stages, soloStage: user.soloStage });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
 
-User's C++ Code:
-\`\`\`cpp
-${code}
-\`\`\`
+// @route   GET /api/lobbies/solo/stages/:stageId
+// @desc    Get a solo challenge stage (problem, starter code and sample tests)
+// @access  Private
+router.get('/solo/stages/:stageId', auth, async (req, res) => {
+    const stage = findSoloStage(req.params.stageId);
+    if (!stage) return res.status(404).json({ msg: 'Stage not found' });
 
-Evaluate the code. If the code correctly solves the problem and produces the exact expected output, respond with 'CORRECT (Accuracy: [0-100])'. If it does not, respond with 'INCORRECT (Accuracy: [0-100]) - [Explanation]'. The accuracy score should reflect how well the code is written, not just if it passes tests. For example, a correct but overly complex solution might get a lower accuracy score than a correct and simple one.`;
+    try {
+        const user = await User.findById(req.user.id).select('soloStage soloStageAccuracy');
+        if (!user) return res.status(404).json({ msg: 'User not found' });
+        if (stage.order > user.soloStage) {
+            return res.status(403).json({ msg: 'Complete the previous stages to unlock this one.' });
+        }
 
-        const geminiApiKey = process.env.GEMINI_API_KEY;
-        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${geminiApiKey}`;
+        res.json(publicStageDetail(stage, user));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
 
-        const geminiResponse = await fetch(apiUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ contents: [{ role: "user", parts: [{ text: prompt }] }] })
-        });
+// @route   POST /api/lobbies/solo/evaluate
+// @desc    Evaluate solo challenge code against a catalogue stage with the configured evaluator
+// @access  Private
+router.post('/solo/evaluate', auth, async (req, res) => {
+    const { code, stageId } = req.body;
+    const userId = req.user.id;
 
-        const geminiResult = await geminiResponse.json();
+    if (!code || !stageId) {
+        return res.status(400).json({ msg: 'Code and stage ID are required' });
+    }
 
-        let geminiResponseText = "Evaluation failed.";
-        let accuracyScore = 0;
+    const stage = findSoloStage(stageId);
+    if (!stage) {
+        return res.status(404).json({ msg: 'Stage not found' });
+    }
 
-        if (geminiResult.candidates && geminiResult.candidates.length > 0 &&
-            geminiResult.candidates[0].content && geminiResult.candidates[0].content.parts &&
-            geminiResult.candidates[0].content.parts.length > 0) {
-            geminiResponseText = geminiResult.candidates[0].content.parts[0].text;
+    try {
+        const user = await User.findById(userId);
+        if (!user) return res.status(404).json({ msg: 'User not found' });
+        if (user.isPenalized()) {
+            return res.status(403).json({ msg: 'You are penalized and cannot submit code.' });
+        }
+        if (stage.order > user.soloStage) {
+            return res.status(403).json({ msg: 'Complete the previous stages to unlock this one.' });
+        }
 
-            const accuracyMatch = geminiResponseText.match(/Accuracy:\s*(\d+)/i);
-            if (accuracyMatch && accuracyMatch[1]) {
-                accuracyScore = parseInt(accuracyMatch[1]);
+        const testCases = [
+            ...stage.sampleTests,
+            ...stage.hiddenTests.map(t => ({ ...t, hidden: true }))
+        ];
+
+        let result;
+        try {
+            result = await getSoloEvaluator().evaluate({ code, stage: { id: stage.id, problem: stage.problem, testCases } });
+        } catch (err) {
+            if (err instanceof EvaluatorUnavailableError) {
+                // Nothing about the user's progress has been touched at this point
+                console.error(err.message);
+                return res.status(503).json({ msg: 'The code evaluator is currently unavailable. Please try again later.' });
             }
+            throw err;
         }
 
-        const isCorrect = geminiResponseText.trim().toUpperCase().startsWith('CORRECT');
+        const { isCorrect, accuracy: accuracyScore } = result;
+        let stageCleared = false;
+        let progress = user;
 
         if (isCorrect) {
-            // Update soloStageAccuracy for the current stage
-            const soloStageAccuracyMap = user.soloStageAccuracy || new Map();
-            if (!soloStageAccuracyMap.has(String(stageData.stage)) || accuracyScore > soloStageAccuracyMap.get(String(stageData.stage))) {
-                soloStageAccuracyMap.set(String(stageData.stage), accuracyScore);
-                user.soloStageAccuracy = soloStageAccuracyMap;
-            }
-
-            if (user.soloStage === stageData.stage) {
-                user.soloStage++;
-                user.elo += 75;
-                user.tokens += 50;
+            // Keep the best accuracy per stage
+            progress = await User.findByIdAndUpdate(
+                userId,
+                { $max: { [`soloStageAccuracy.${stage.id}`]: accuracyScore } },
+                { new: true }
+            ) || user;
+
+            // Rewards are only paid the first time a stage is cleared: the stage only advances
+            // for the submission whose update matched, so concurrent ones can't pay twice
+            const advanced = await User.findOneAndUpdate(
+                { _id: userId, soloStage: stage.order },
+                { $inc: { soloStage: 1, elo: stage.rewards.elo } },
+                { new: true }
+            );
+            if (advanced) {
+                stageCleared = true;
+                progress = advanced;
+                if (stage.rewards.tokens) {
+                    await TokenTransaction.saveWithTokens(advanced, stage.rewards.tokens, 'solo-stage', { stageId: stage.id });
+                }
             }
-            await user.save();
         }
 
-        res.json({ evaluation: geminiResponseText, accuracy: accuracyScore, isCorrect });
+        res.json({
+            ...result,
+            stageId: stage.id,
+            stageCleared,
+            rewards: stageCleared ? stage.rewards : null,
+            soloStage: progress.soloStage,
+            elo: progress.elo,
+            tokens: progress.tokens
+        });
 
     } catch (err) {
         console.error("Error evaluating solo code:", err.message);
@@ -686,95 +2622,167 @@ Evaluate the code. If the code correctly solves the problem and produces the exa
     }
 });
 
-// @route   POST /api/users/redeem-code
-// @desc    Redeem a special code for tokens
+// @route   GET /api/lobbies/users/token-history
+// @desc    The current user's token ledger, newest first (?page=&limit=)
+// @access  Private
+router.get('/users/token-history', auth, async (req, res) => {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    try {
+        const filter = { userId: req.user.id };
+        const [transactions, total] = await Promise.all([
+            TokenTransaction.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+            TokenTransaction.countDocuments(filter)
+        ]);
+        res.json({ transactions, total, page, limit });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// Failed redeem attempts allowed per user before they have to wait (slows down code guessing)
+const redeemFailureLimiter = createRateLimiter({ limit: 5, windowMs: 15 * 60 * 1000 });
+
+// Give a user the item rewards of a redeem code. Tokens go through the ledger; the caller saves the user.
+const grantCodeItems = (user, rewards) => {
+    (rewards.items || []).forEach(({ itemId, quantity }) => {
+        const item = findShopItem(itemId);
+        if (!item) return;
+        if (isConsumable(item)) {
+            user.consumables.set(itemId, Math.min(MAX_CONSUMABLE_STACK, (user.consumables.get(itemId) || 0) + quantity));
+        } else if (!user.inventory.includes(itemId)) {
+            user.inventory.push(itemId);
+        }
+    });
+};
+
+const describeRewards = (rewards) => {
+    const parts = [];
+    if (rewards.tokens) parts.push(`${rewards.tokens} tokens`);
+    (rewards.items || []).forEach(({ itemId, quantity }) => {
+        const item = findShopItem(itemId);
+        parts.push(`${quantity > 1 ? `${quantity} x ` : ''}${item ? item.name : itemId}`);
+    });
+    return parts.join(', ');
+};
+
+// @route   POST /api/lobbies/users/redeem-code
+// @desc    Redeem a promo code for tokens and/or items
 // @access  Private
 router.post('/users/redeem-code', auth, async (req, res) => {
     const { code } = req.body;
     const userId = req.user.id;
 
+    if (redeemFailureLimiter.isLimited(userId)) {
+        const minutes = Math.ceil(redeemFailureLimiter.retryAfterMs(userId) / 60000);
+        return res.status(429).json({ msg: `Too many failed attempts. Try again in ${minutes} minute(s).` });
+    }
+
     try {
         const user = await User.findById(userId);
         if (!user) return res.status(404).json({ msg: 'User not found' });
 
-        if (code === "BlueLock") {
-            const tokensAwarded = 50000;
-            user.tokens += tokensAwarded;
-            await user.save();
-            return res.json({ msg: `Successfully redeemed code! You received ${tokensAwarded} tokens.`, newTokens: user.tokens });
-        } else {
+        const redeemCode = code ? await RedeemCode.findOne({ code: RedeemCode.normalizeCode(code) }) : null;
+        if (!redeemCode) {
+            redeemFailureLimiter.hit(userId);
             return res.status(400).json({ msg: 'Invalid code' });
         }
+
+        const rejection = redeemCode.rejectionReason(user);
+        if (rejection) {
+            redeemFailureLimiter.hit(userId);
+            return res.status(400).json({ msg: rejection });
+        }
+        if (!(await redeemCode.claim(user))) {
+            // Used up (or redeemed by this user) between the check and the claim
+            redeemFailureLimiter.hit(userId);
+            return res.status(400).json({ msg: 'This code has been fully redeemed.' });
+        }
+
+        grantCodeItems(user, redeemCode.rewards);
+        if (redeemCode.rewards.tokens) {
+            await TokenTransaction.saveWithTokens(user, redeemCode.rewards.tokens, 'redeem-code', { code: redeemCode.code });
+        } else {
+            await user.save();
+        }
+
+        res.json({
+            msg: `Successfully redeemed code! You received ${describeRewards(redeemCode.rewards)}.`,
+            rewards: redeemCode.rewards,
+            newTokens: user.tokens,
+            newInventory: user.inventory,
+            newConsumables: user.consumables
+        });
     } catch (err) {
         console.error(err.message);
         res.status(500).send('Server error');
     }
 });
 
-// @route   GET /api/users/leaderboard
-// @desc    Get global leaderboard data
-// @access  Public (or Private if you want to restrict)
-router.get('/users/leaderboard', async (req, res) => {
-    try {
-        const users = await User.find({}).select('username elo rankedCorrectAnswers rankedTotalAnswers').sort({ elo: -1 });
-        res.json(users);
-    } catch (err) {
-        console.error(err.message);
-        res.status(500).send('Server error');
-    }
+// @route   GET /api/lobbies/shop/items
+// @desc    Shop catalogue
+// @access  Public
+router.get('/shop/items', (req, res) => {
+    res.json({ items: shopItems, exclusiveItems: exclusiveTitles, maxLoadoutPerItem: MAX_LOADOUT_PER_ITEM });
 });
 
-// @route   POST /api/users/buy-item
-// @desc    Buy an item from the shop
+// @route   POST /api/lobbies/users/buy-item
+// @desc    Buy an item from the shop: { itemId, quantity }. Prices come from the server catalogue;
+//          titles are bought once, abilities stack up to MAX_CONSUMABLE_STACK.
 // @access  Private
 router.post('/users/buy-item', auth, async (req, res) => {
-    const { itemId, itemPrice, itemCategory, itemName } = req.body;
+    const { itemId, quantity = 1 } = req.body;
     const userId = req.user.id;
 
+    const item = findShopItem(itemId);
+    if (!item) {
+        return res.status(404).json({ msg: 'Item not found.' });
+    }
+    const consumable = isConsumable(item);
+    if (!Number.isInteger(quantity) || quantity < 1 || (!consumable && quantity !== 1)) {
+        return res.status(400).json({ msg: 'Invalid quantity.' });
+    }
+
     try {
         const user = await User.findById(userId);
         if (!user) return res.status(404).json({ msg: 'User not found' });
 
-        if (user.inventory.includes(itemId)) {
+        if (consumable) {
+            if ((user.consumables.get(itemId) || 0) + quantity > MAX_CONSUMABLE_STACK) {
+                return res.status(400).json({ msg: `You can hold at most ${MAX_CONSUMABLE_STACK} ${item.name}.` });
+            }
+        } else if (user.inventory.includes(itemId)) {
             return res.status(400).json({ msg: 'You already own this item.' });
         }
 
-        if (user.tokens < itemPrice) {
+        // Checked again atomically when the tokens are taken, in case another purchase got there first
+        const totalPrice = item.price * quantity;
+        if (user.tokens < totalPrice) {
             return res.status(400).json({ msg: 'Insufficient tokens.' });
         }
 
-        user.tokens -= itemPrice;
-        user.inventory.push(itemId);
-
-        if (itemCategory === 'title') {
-            user.equippedTitle = itemName; // Equip title immediately
+        if (consumable) {
+            user.consumables.set(itemId, (user.consumables.get(itemId) || 0) + quantity);
+        } else {
+            user.inventory.push(itemId);
+            if (item.category === 'title') {
+                user.equippedTitle = item.name; // Equip title immediately
+            }
         }
 
-        await user.save();
-        res.json({ msg: `Successfully purchased ${itemName}!`, newTokens: user.tokens, newInventory: user.inventory, newEquippedTitle: user.equippedTitle });
-
-    } catch (err) {
-        console.error(err.message);
-        res.status(500).send('Server error');
-    }
-});
-
-// @route   POST /api/users/update-penalty
-// @desc    Update user penalty status (for inactivity)
-// @access  Private (called internally by server or from client if needed, but better server-side)
-router.post('/users/update-penalty', auth, async (req, res) => {
-    const { warningCount, penaltyEndTime } = req.body;
-    const userId = req.user.id;
-
-    try {
-        const user = await User.findById(userId);
-        if (!user) return res.status(404).json({ msg: 'User not found' });
-
-        user.warningCount = warningCount;
-        user.penaltyEndTime = penaltyEndTime ? new Date(penaltyEndTime) : null;
-        await user.save();
+        const purchase = await TokenTransaction.saveWithTokens(user, -totalPrice, 'shop-purchase', { itemId, quantity });
+        if (!purchase) {
+            return res.status(400).json({ msg: 'Insufficient tokens.' });
+        }
+        res.json({
+            msg: `Successfully purchased ${quantity > 1 ? `${quantity} x ` : ''}${item.name}!`,
+            newTokens: user.tokens,
+            newInventory: user.inventory,
+            newConsumables: user.consumables,
+            newEquippedTitle: user.equippedTitle
+        });
 
-        res.json({ msg: 'Penalty status updated', user });
     } catch (err) {
         console.error(err.message);
         res.status(500).send('Server error');
@@ -782,3 +2790,23 @@ router.post('/users/update-penalty', auth, async (req, res) => {
 });
 
 module.exports = router;
+// Export the Lobby model so server.js can access it for inactivity cleanup
+module.exports.Lobby = Lobby;
+module.exports.resumeTurnTimers = resumeTurnTimers;
+module.exports.createRankedMatchLobby = createRankedMatchLobby;
+module.exports.createTournamentMatchLobby = createTournamentMatchLobby;
+module.exports.lobbyEvents = lobbyEvents;
+module.exports.lobbySettingRanges = {
+    initialLives: LIVES_RANGE,
+    questionTimer: QUESTION_TIMER_RANGE,
+    questionCount: [MIN_QUESTION_COUNT, MAX_QUESTION_COUNT],
+    playersPerMatch: [MIN_LOBBY_PLAYERS, MAX_LOBBY_PLAYERS]
+};
+module.exports.startLobbyGame = startLobbyGame;
+module.exports.closeLobby = closeLobby;
+module.exports.setPlayerConnected = setPlayerConnected;
+module.exports.forfeitPlayer = forfeitPlayer;
+module.exports.getResumeSnapshot = getResumeSnapshot;
+module.exports.spectatorRoom = spectatorRoom;
+module.exports.emitLobbyState = emitLobbyState;
+module.exports.lobbyView = lobbyView;
@@ -0,0 +1,47 @@
+// models/Match.js
+const mongoose = require('mongoose');
+
+const matchParticipantSchema = new mongoose.Schema({
+    id: { type: String, required: true }, // User ID, or the bot's generated ID
+    name: { type: String, required: true },
+    type: { type: String, enum: ['human', 'bot'], required: true },
+    botDifficulty: { type: String, default: undefined }, // Bots only
+    placement: { type: Number, required: true }, // 1 = winner
+    eliminationOrder: { type: Number, default: null }, // 1 = first player out; null for survivors
+    livesLeft: { type: Number, default: 0 },
+    score: { type: Number, default: 0 }, // Final currentRoundScore
+    correctAnswers: { type: Number, default: 0 },
+    totalAnswers: { type: Number, default: 0 },
+    eloBefore: { type: Number, default: 0 },
+    eloAfter: { type: Number, default: 0 },
+    eloDelta: { type: Number, default: 0 }, // Only non-zero in ranked matches
+    tokensEarned: { type: Number, default: 0 }
+}, { _id: false });
+
+// One finished game, written by finishGame. Lobbies are reused and deleted, matches are kept.
+const matchSchema = new mongoose.Schema({
+    gameId: { type: String, required: true, unique: true }, // Assigned when the lobby's game starts
+    lobbyId: { type: String, required: true },
+    lobbyName: { type: String, required: true },
+    type: { type: String, required: true }, // Lobby type, e.g. 'ranked-free-for-all-qna'
+    isRanked: { type: Boolean, default: false },
+    isCustom: { type: Boolean, default: false },
+    settings: {
+        isFrenzyMode: { type: Boolean, default: false },
+        initialLives: { type: Number, default: 3 },
+        questionTimer: { type: Number, default: 30 },
+        questionCategory: { type: String, default: null },
+        questionDifficulty: { type: String, default: null },
+        questionCount: { type: Number, default: 30 }
+    },
+    participants: { type: [matchParticipantSchema], default: [] }, // In placement order
+    winnerId: { type: String, default: null }, // null when a bot won
+    questions: { type: [{ questionId: String, q: String, a: String, _id: false }], default: [] }, // Questions asked, in order
+    turns: { type: Number, default: 0 },
+    startedAt: { type: Date, required: true },
+    endedAt: { type: Date, required: true }
+}, { timestamps: true });
+
+matchSchema.index({ 'participants.id': 1, endedAt: -1 });
+
+module.exports = mongoose.model('Match', matchSchema);
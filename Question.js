@@ -0,0 +1,39 @@
+// models/Question.js
+const mongoose = require('mongoose');
+const defaultQuestions = require('../config/defaultQuestions');
+const { MATCH_MODES, DEFAULT_MATCH_MODE } = require('../utils/answerMatcher');
+
+const QUESTION_TYPES = ['qna', 'fill-in-blanks'];
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const questionSchema = new mongoose.Schema({
+    type: { type: String, required: true, enum: QUESTION_TYPES },
+    language: { type: String, default: 'cpp', lowercase: true, trim: true }, // Language the question is about
+    category: { type: String, default: 'general', lowercase: true, trim: true }, // e.g. pointers, loops, classes
+    difficulty: { type: String, default: 'medium', enum: DIFFICULTIES },
+    q: { type: String, required: true, trim: true }, // Prompt shown to players
+    answers: {
+        type: [String],
+        required: true,
+        validate: [a => a.length > 0, 'At least one accepted answer is required']
+    }, // Accepted answers (regex patterns in regex mode); the first is the canonical answer
+    matchMode: { type: String, default: DEFAULT_MATCH_MODE, enum: MATCH_MODES }, // See utils/answerMatcher
+    displayAnswer: { type: String, default: '' }, // Shown instead of answers[0], e.g. for regex questions
+    hint: { type: String, default: '' }, // Shown by Evolved Meta Vision
+    active: { type: Boolean, default: true }, // Inactive questions are kept but never drawn
+    createdBy: { type: String, default: null } // Username of the author, null for seeded questions
+}, { timestamps: true });
+
+questionSchema.index({ type: 1, active: 1, category: 1, difficulty: 1 });
+questionSchema.index({ type: 1, q: 1 }, { unique: true }); // Keeps imports idempotent
+
+// Insert the built-in questions when the bank is empty, so a fresh database is playable
+questionSchema.statics.seedDefaults = async function () {
+    if (await this.estimatedDocumentCount() > 0) return 0;
+    await this.insertMany(defaultQuestions);
+    return defaultQuestions.length;
+};
+
+module.exports = mongoose.model('Question', questionSchema);
+module.exports.QUESTION_TYPES = QUESTION_TYPES;
+module.exports.DIFFICULTIES = DIFFICULTIES;
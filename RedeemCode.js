@@ -0,0 +1,64 @@
+// models/RedeemCode.js
+const mongoose = require('mongoose');
+
+const redemptionSchema = new mongoose.Schema({
+    userId: { type: String, required: true },
+    username: { type: String, required: true },
+    redeemedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const redeemCodeSchema = new mongoose.Schema({
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true }, // Matched case-insensitively
+    rewards: {
+        tokens: { type: Number, default: 0 },
+        items: { type: [{ itemId: String, quantity: Number, _id: false }], default: [] } // Shop item IDs
+    },
+    expiresAt: { type: Date, default: null }, // null never expires
+    maxUses: { type: Number, default: null }, // Across all users; null is unlimited
+    uses: { type: Number, default: 0 },
+    maxAccountAgeDays: { type: Number, default: null }, // Only accounts created within this many days; null allows all
+    active: { type: Boolean, default: true }, // Admins can disable a code early
+    batchId: { type: String, default: null }, // Codes generated together share a batch
+    createdBy: { type: String, required: true }, // Admin username
+    redemptions: { type: [redemptionSchema], default: [] } // Each user can redeem a code once
+}, { timestamps: true });
+
+redeemCodeSchema.index({ batchId: 1 });
+redeemCodeSchema.index({ 'redemptions.userId': 1 });
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Why `user` cannot redeem this code right now, or null if they can (the use limit and
+// double-redemption are enforced atomically in claim())
+redeemCodeSchema.methods.rejectionReason = function (user) {
+    if (!this.active) return 'This code is no longer active.';
+    if (this.expiresAt && new Date() > this.expiresAt) return 'This code has expired.';
+    if (this.maxUses !== null && this.uses >= this.maxUses) return 'This code has been fully redeemed.';
+    if (this.redemptions.some(r => r.userId === user.id)) return 'You have already redeemed this code.';
+    if (this.maxAccountAgeDays !== null) {
+        const accountAgeMs = Date.now() - new Date(user.createdAt).getTime();
+        if (accountAgeMs > this.maxAccountAgeDays * 24 * 60 * 60 * 1000) return 'This code is only for new accounts.';
+    }
+    return null;
+};
+
+// Record a redemption if the code still has uses left and the user has not redeemed it.
+// Returns false if another request got there first.
+redeemCodeSchema.methods.claim = async function (user) {
+    const claimed = await this.constructor.findOneAndUpdate(
+        {
+            _id: this._id,
+            active: true,
+            'redemptions.userId': { $ne: user.id },
+            $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }]
+        },
+        {
+            $inc: { uses: 1 },
+            $push: { redemptions: { userId: user.id, username: user.username } }
+        }
+    );
+    return !!claimed;
+};
+
+module.exports = mongoose.model('RedeemCode', redeemCodeSchema);
+module.exports.normalizeCode = normalizeCode;
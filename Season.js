@@ -0,0 +1,22 @@
+// models/Season.js
+const mongoose = require('mongoose');
+
+// A ranked season. Exactly one season is 'active' (or 'ending' while it rolls over);
+// see services/seasonRollover.js
+const seasonSchema = new mongoose.Schema({
+    number: { type: Number, required: true, unique: true }, // 1, 2, ...
+    name: { type: String, required: true },
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+    status: { type: String, enum: ['active', 'ending', 'ended'], default: 'active' },
+    softReset: { // Applied to every rating when this season ends
+        baseline: { type: Number, required: true },
+        factor: { type: Number, required: true } // 0 resets everyone to baseline, 1 keeps ratings
+    },
+    participants: { type: Number, default: 0 }, // Players archived at rollover
+    endedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+seasonSchema.index({ status: 1 });
+
+module.exports = mongoose.model('Season', seasonSchema);
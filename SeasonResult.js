@@ -0,0 +1,23 @@
+// models/SeasonResult.js
+const mongoose = require('mongoose');
+
+// A player's archived standing in a finished season, written at rollover
+const seasonResultSchema = new mongoose.Schema({
+    seasonNumber: { type: Number, required: true },
+    userId: { type: String, required: true },
+    username: { type: String, required: true },
+    finalRating: { type: Number, required: true }, // Elo before the soft reset
+    tier: { type: String, required: true }, // Tier ID from config/seasonTiers.js
+    rankedGamesPlayed: { type: Number, default: 0 }, // In this season
+    rewards: { // Empty if the player played too few games to qualify
+        tokens: { type: Number, default: 0 },
+        items: { type: [String], default: [] }
+    },
+    ratingAfterReset: { type: Number, required: true }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+seasonResultSchema.index({ seasonNumber: 1, userId: 1 }, { unique: true });
+seasonResultSchema.index({ seasonNumber: 1, finalRating: -1 });
+seasonResultSchema.index({ userId: 1, seasonNumber: -1 });
+
+module.exports = mongoose.model('SeasonResult', seasonResultSchema);
@@ -0,0 +1,97 @@
+// models/TokenTransaction.js
+const mongoose = require('mongoose');
+
+const TOKEN_REASONS = ['signup', 'game-win', 'solo-stage', 'redeem-code', 'shop-purchase', 'admin-adjustment', 'season-reward', 'tournament-prize'];
+
+// Append-only ledger: one entry per change to a user's token balance
+const tokenTransactionSchema = new mongoose.Schema({
+    userId: { type: String, required: true },
+    username: { type: String, required: true },
+    delta: { type: Number, required: true }, // Negative for spending
+    reason: { type: String, enum: TOKEN_REASONS, required: true },
+    source: { // What caused the change; only the fields relevant to `reason` are set
+        lobbyId: { type: String, default: undefined },
+        stageId: { type: String, default: undefined },
+        itemId: { type: String, default: undefined },
+        quantity: { type: Number, default: undefined },
+        code: { type: String, default: undefined },
+        season: { type: Number, default: undefined },
+        tournamentId: { type: String, default: undefined },
+        actorId: { type: String, default: undefined } // Admin who adjusted the balance
+    },
+    balance: { type: Number, required: true } // User's balance right after this change
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+tokenTransactionSchema.index({ userId: 1, createdAt: -1 });
+
+// Thrown inside the transaction to roll it back when a charge would overdraw the balance
+class InsufficientTokensError extends Error {
+    constructor() {
+        super('Not enough tokens');
+        this.name = 'InsufficientTokensError';
+    }
+}
+
+// A user document's pending changes (other than tokens) as plain $set values. Built once,
+// before the transaction, so a retried transaction writes exactly the same update: a
+// retried doc.save() would write nothing, Mongoose having cleared the modified paths.
+const pendingChanges = (user) => {
+    const paths = user.directModifiedPaths().filter(path => path !== 'tokens');
+    const set = {};
+    paths
+        .filter(path => !paths.some(parent => path.startsWith(`${parent}.`))) // Covered by the parent
+        .forEach(path => {
+            const value = user.get(path);
+            set[path] = value && typeof value.toObject === 'function' ? value.toObject() : value;
+        });
+    return { paths, set };
+};
+
+// Apply the user's pending changes and add `delta` to their tokens together with its ledger
+// entry, in one transaction, so the two can never disagree. The balance is changed with $inc
+// rather than saved from the document, so concurrent changes add up instead of overwriting
+// each other. A negative delta only applies if the balance covers it; otherwise nothing is
+// written and null is returned. user.tokens is refreshed. Transactions need a replica set,
+// which server.js checks for at startup (see transactionsSupported).
+tokenTransactionSchema.statics.saveWithTokens = async function (user, delta, reason, source = {}) {
+    const User = mongoose.model('User');
+    await user.validate();
+    const { paths, set } = pendingChanges(user);
+    const filter = delta < 0 ? { _id: user._id, tokens: { $gte: -delta } } : { _id: user._id };
+    const update = Object.keys(set).length > 0 ? { $set: set, $inc: { tokens: delta } } : { $inc: { tokens: delta } };
+    let entry;
+    let balance;
+    const session = await mongoose.startSession();
+    try {
+        await session.withTransaction(async () => {
+            const updated = await User.findOneAndUpdate(filter, update, { session, new: true }).select('tokens');
+            if (!updated) throw new InsufficientTokensError();
+            balance = updated.tokens;
+            [entry] = await this.create([{ userId: user.id, username: user.username, delta, reason, source, balance }], { session });
+        });
+    } catch (err) {
+        if (err instanceof InsufficientTokensError) return null;
+        throw err;
+    } finally {
+        await session.endSession();
+    }
+    // The document now matches what is stored; mirror the balance and mark it clean,
+    // so a later save can't write any of it back
+    user.tokens = balance;
+    ['tokens', ...paths].forEach(path => user.unmarkModified(path));
+    return entry;
+};
+
+// The opening entry of a new account. It changes nothing, so it is written on its own.
+tokenTransactionSchema.statics.recordOpeningBalance = function (user) {
+    return this.create({ userId: user.id, username: user.username, delta: 0, reason: 'signup', balance: user.tokens });
+};
+
+// Transactions need a replica set or a sharded cluster; a standalone mongod can't run them
+tokenTransactionSchema.statics.transactionsSupported = async function () {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    return Boolean(hello.setName) || hello.msg === 'isdbgrid';
+};
+
+module.exports = mongoose.model('TokenTransaction', tokenTransactionSchema);
+module.exports.TOKEN_REASONS = TOKEN_REASONS;
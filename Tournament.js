@@ -0,0 +1,80 @@
+// models/Tournament.js
+const mongoose = require('mongoose');
+
+const TOURNAMENT_MODES = ['1v1-fill-in-blanks', 'free-for-all-qna'];
+const TOURNAMENT_FORMATS = ['single-elimination', 'swiss'];
+
+const tournamentParticipantSchema = new mongoose.Schema({
+    userId: { type: String, required: true },
+    username: { type: String, required: true },
+    elo: { type: Number, default: 0 }, // At registration; seeds are assigned from it when the tournament starts
+    seed: { type: Number, default: null }, // 1 = highest rated
+    points: { type: Number, default: 0 }, // Swiss only
+    buchholz: { type: Number, default: 0 }, // Swiss tiebreak: sum of opponents' points
+    opponents: { type: [String], default: [] }, // User IDs already met, Swiss avoids rematches
+    byes: { type: Number, default: 0 },
+    eliminatedInRound: { type: Number, default: null }, // Single elimination only
+    placement: { type: Number, default: null }, // Final placement, set when the tournament ends
+    prize: { type: Number, default: 0 }, // Tokens paid for the placement
+    prizePaid: { type: Boolean, default: false } // Set once the prize is in the ledger, so it is never paid twice
+}, { _id: false });
+
+const tournamentMatchSchema = new mongoose.Schema({
+    matchId: { type: String, required: true }, // e.g. 'r2m3'
+    playerIds: { type: [String], default: [] }, // Seated players; fewer than two is a bye
+    lobbyId: { type: String, default: null }, // The lobby created for the match
+    status: { type: String, enum: ['pending', 'check-in', 'running', 'finished'], default: 'pending' },
+    checkInDeadline: { type: Date, default: null }, // Players who are not ready by then forfeit
+    results: { type: [{ userId: String, placement: Number, _id: false }], default: [] }, // From the lobby's gameEnded results
+    forfeitedIds: { type: [String], default: [] }, // No-shows
+    winnerId: { type: String, default: null } // null if nobody showed up
+}, { _id: false });
+
+const tournamentRoundSchema = new mongoose.Schema({
+    number: { type: Number, required: true }, // 1-based
+    matches: { type: [tournamentMatchSchema], default: [] },
+    byeUserId: { type: String, default: null } // Swiss player sitting this round out
+}, { _id: false });
+
+const tournamentSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    mode: { type: String, enum: TOURNAMENT_MODES, required: true }, // Lobby type of every match
+    format: { type: String, enum: TOURNAMENT_FORMATS, required: true },
+    playersPerMatch: { type: Number, default: 2 }, // Always 2 in 1v1 mode
+    swissRounds: { type: Number, default: null }, // null picks enough rounds for the field
+    settings: { // Copied onto every match lobby
+        isFrenzyMode: { type: Boolean, default: false },
+        initialLives: { type: Number, default: 3 },
+        questionTimer: { type: Number, default: 30 },
+        questionCategory: { type: String, default: null },
+        questionDifficulty: { type: String, default: null },
+        questionCount: { type: Number, default: 30 }
+    },
+    registrationOpensAt: { type: Date, required: true },
+    registrationClosesAt: { type: Date, required: true }, // The tournament starts then
+    minPlayers: { type: Number, default: 2 },
+    maxPlayers: { type: Number, default: 64 },
+    prizes: { type: [Number], default: [] }, // Tokens by final placement: [1st, 2nd, ...]
+    status: { type: String, enum: ['registration', 'running', 'finished', 'cancelled'], default: 'registration' },
+    participants: { type: [tournamentParticipantSchema], default: [] },
+    rounds: { type: [tournamentRoundSchema], default: [] },
+    totalRounds: { type: Number, default: 0 }, // Known once the bracket is generated
+    createdBy: { type: String, required: true }, // Staff user ID
+    startedAt: { type: Date, default: null },
+    endedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+tournamentSchema.index({ status: 1, registrationClosesAt: 1 });
+tournamentSchema.index({ 'participants.userId': 1 });
+
+tournamentSchema.methods.findParticipant = function (userId) {
+    return this.participants.find(p => p.userId === userId);
+};
+
+tournamentSchema.methods.currentRound = function () {
+    return this.rounds[this.rounds.length - 1] || null;
+};
+
+module.exports = mongoose.model('Tournament', tournamentSchema);
+module.exports.TOURNAMENT_MODES = TOURNAMENT_MODES;
+module.exports.TOURNAMENT_FORMATS = TOURNAMENT_FORMATS;
@@ -1,23 +1,109 @@
 // models/User.js
 const mongoose = require('mongoose');
+const { DEFAULT_RATING } = require('../utils/elo');
+const soloStages = require('../config/soloStages');
+
+// In increasing order of privilege
+const ROLES = ['user', 'moderator', 'admin'];
+
+const MAX_FRIENDS = 200;
+const MAX_PENDING_FRIEND_REQUESTS = 50; // Each way
+
+// A pending friend request, stored on both users: incoming on the recipient, outgoing on the sender
+const friendRequestSchema = new mongoose.Schema({
+    userId: { type: String, required: true }, // The other user
+    username: { type: String, required: true },
+    sentAt: { type: Date, default: Date.now }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
     username: { type: String, required: true, unique: true },
     password: { type: String, required: true },
-    elo: { type: Number, default: 0 },
+    role: { type: String, enum: ROLES, default: 'user' }, // Staff roles unlock the admin API
+    elo: { type: Number, default: DEFAULT_RATING },
+    rankedGamesPlayed: { type: Number, default: 0 }, // Completed ranked matches, drives the provisional K-factor
+    seasonRankedGamesPlayed: { type: Number, default: 0 }, // Ranked matches in the current season
+    lastResetSeason: { type: Number, default: 0 }, // Last season whose rollover reset this rating
     casualPoints: { type: Number, default: 0 },
     rankedCorrectAnswers: { type: Number, default: 0 },
     rankedTotalAnswers: { type: Number, default: 0 },
     casualCorrectAnswers: { type: Number, default: 0 },
     casualTotalAnswers: { type: Number, default: 0 },
     soloStage: { type: Number, default: 0 },
-    soloStageAccuracy: { type: Map, of: Number, default: {} }, // Store accuracy for each stage
+    soloStageAccuracy: { type: Map, of: Number, default: {} }, // Best accuracy for each stage, keyed by stage id
     tokens: { type: Number, default: 0 },
-    inventory: { type: [String], default: [] }, // Array of item IDs
+    inventory: { type: [String], default: [] }, // Permanent item IDs (titles)
+    consumables: { type: Map, of: Number, default: {} }, // Ability item ID -> quantity owned
     equippedTitle: { type: String, default: 'New Rival' },
     warningCount: { type: Number, default: 0 }, // For inactivity penalty
     penaltyEndTime: { type: Date, default: null }, // Timestamp for penalty end
+    chatMutedUntil: { type: Date, default: null }, // Set by staff; blocks lobby and spectator chat
+    friendIds: { type: [String], default: [] }, // Mutual: both users list each other, see routes/friends.js
+    incomingFriendRequests: { type: [friendRequestSchema], default: [] },
+    outgoingFriendRequests: { type: [friendRequestSchema], default: [] },
+    blockedIds: { type: [String], default: [] }, // Blocked users can't send this user requests or invites
     // Add other user-specific stats or properties as needed
 }, { timestamps: true });
 
+// Leaderboards on stored fields sort by these (see services/leaderboard.js)
+userSchema.index({ elo: -1, _id: 1 });
+userSchema.index({ casualPoints: -1, _id: 1 });
+userSchema.index({ soloStage: -1, _id: 1 });
+
+// Inactivity and declined ranked matches share the same warning/penalty ladder
+const MAX_WARNINGS = 3;
+const PENALTY_DURATION_MS = 60 * 1000; // 1 minute penalty
+
+userSchema.methods.isPenalized = function () {
+    return !!this.penaltyEndTime && new Date() < this.penaltyEndTime;
+};
+
+// Add a warning. On reaching MAX_WARNINGS the user is penalized and warnings reset.
+// Returns true if a penalty was applied. The caller saves the user.
+userSchema.methods.addWarning = function () {
+    this.warningCount = (this.warningCount || 0) + 1;
+    if (this.warningCount >= MAX_WARNINGS) {
+        this.penaltyEndTime = new Date(Date.now() + PENALTY_DURATION_MS);
+        this.warningCount = 0; // Reset warnings after penalty
+        return true;
+    }
+    return false;
+};
+
+// Abilities used to be stored in inventory as one-off strings; turn each into one consumable.
+// Returns true if anything changed. The caller saves the user.
+userSchema.methods.convertLegacyConsumables = function (isConsumableId) {
+    const legacy = this.inventory.filter(isConsumableId);
+    if (legacy.length === 0) return false;
+    legacy.forEach(itemId => this.consumables.set(itemId, (this.consumables.get(itemId) || 0) + 1));
+    this.inventory = this.inventory.filter(itemId => !isConsumableId(itemId));
+    return true;
+};
+
+// Solo stage accuracy used to be keyed by stage number (the stage's order + 1). Move those
+// entries to the stage id, keeping the better score if both exist. Returns how many users changed.
+userSchema.statics.migrateSoloStageAccuracy = async function () {
+    const legacyKey = (stage) => `soloStageAccuracy.${stage.order + 1}`;
+    const users = await this.find({ $or: soloStages.map(stage => ({ [legacyKey(stage)]: { $exists: true } })) })
+        .select('soloStageAccuracy')
+        .lean();
+    for (const user of users) {
+        const $max = {};
+        const $unset = {};
+        soloStages.forEach(stage => {
+            const accuracy = user.soloStageAccuracy[String(stage.order + 1)];
+            if (accuracy === undefined) return;
+            $max[`soloStageAccuracy.${stage.id}`] = accuracy;
+            $unset[legacyKey(stage)] = '';
+        });
+        await this.updateOne({ _id: user._id }, { $max, $unset });
+    }
+    return users.length;
+};
+
 module.exports = mongoose.model('User', userSchema);
+module.exports.MAX_WARNINGS = MAX_WARNINGS;
+module.exports.PENALTY_DURATION_MS = PENALTY_DURATION_MS;
+module.exports.ROLES = ROLES;
+module.exports.MAX_FRIENDS = MAX_FRIENDS;
+module.exports.MAX_PENDING_FRIEND_REQUESTS = MAX_PENDING_FRIEND_REQUESTS;
@@ -0,0 +1,688 @@
+// routes/admin.js
+// Staff-only moderation API. Moderators can look up users, manage penalties and chat mutes,
+// review chat reports and close lobbies; admins can also adjust tokens, grant roles, manage
+// redeem codes and seasons and read the audit log.
+// Every change is audited.
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const RedeemCode = require('../models/RedeemCode');
+const TokenTransaction = require('../models/TokenTransaction');
+const ChatReport = require('../models/ChatReport');
+const { findShopItem, isConsumable, MAX_CONSUMABLE_STACK } = require('../config/shopCatalog');
+const { randomCode } = require('../utils/randomCode');
+const { Lobby, closeLobby } = require('../routes/lobby');
+const { getCurrentSeason, endSeason, scheduleRollover } = require('../services/seasonRollover');
+const { auth, requireModerator, requireAdmin, effectiveRole } = require('../middleware/auth');
+
+const MAX_PAGE_SIZE = 100;
+const MAX_PENALTY_MINUTES = 60 * 24 * 30; // 30 days
+const MAX_TOKEN_ADJUSTMENT = 1000000;
+const MAX_CODE_BATCH = 500;
+const DEFAULT_GENERATED_CODE_LENGTH = 10;
+const CODE_PATTERN = /^[A-Z0-9-]{3,32}$/;
+
+const USER_LIST_FIELDS = 'username role elo rankedGamesPlayed casualPoints tokens warningCount penaltyEndTime chatMutedUntil soloStage createdAt';
+
+const paging = (query) => {
+    const page = Math.max(1, parseInt(query.page) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit) || 20));
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const requireReason = (req, res) => {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+        res.status(400).json({ msg: 'A reason is required' });
+        return null;
+    }
+    return reason;
+};
+
+const roleRank = (role) => User.ROLES.indexOf(role);
+
+// Shared lookup for the /users/:id routes; responds 404 itself. With `belowActor`, staff can
+// only act on users whose role is below their own (responds 403 otherwise).
+const findTargetUser = async (req, res, { belowActor = false } = {}) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            res.status(404).json({ msg: 'User not found' });
+        } else if (belowActor && roleRank(effectiveRole(user)) >= roleRank(req.user.role)) {
+            res.status(403).json({ msg: 'You cannot moderate staff at or above your own role' });
+            return null;
+        }
+        return user;
+    } catch (err) {
+        if (err.name === 'CastError') {
+            res.status(404).json({ msg: 'User not found' });
+            return null;
+        }
+        throw err;
+    }
+};
+
+// @route   GET /api/admin/users
+// @desc    List users, optionally searching by username (?search=) and filtering by role
+// @access  Moderator
+router.get('/users', auth, requireModerator, async (req, res) => {
+    const { page, limit, skip } = paging(req.query);
+    try {
+        const filter = {};
+        if (req.query.search) filter.username = { $regex: escapeRegex(String(req.query.search)), $options: 'i' };
+        if (req.query.role) {
+            const role = String(req.query.role);
+            if (!User.ROLES.includes(role)) {
+                return res.status(400).json({ msg: `role must be one of: ${User.ROLES.join(', ')}` });
+            }
+            filter.role = role;
+        }
+        if (req.query.penalized === 'true') filter.penaltyEndTime = { $gt: new Date() };
+        if (req.query.muted === 'true') filter.chatMutedUntil = { $gt: new Date() };
+
+        const [users, total] = await Promise.all([
+            User.find(filter).select(USER_LIST_FIELDS).sort({ username: 1 }).skip(skip).limit(limit),
+            User.countDocuments(filter)
+        ]);
+        res.json({ users, total, page, limit });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   GET /api/admin/users/:id
+// @desc    Get a user and the most recent audit entries about them
+// @access  Moderator
+router.get('/users/:id', auth, requireModerator, async (req, res) => {
+    try {
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+        const history = await AuditLog.find({ targetType: 'user', targetId: user.id }).sort({ createdAt: -1 }).limit(20);
+        const { password, ...profile } = user.toObject();
+        res.json({ user: profile, history });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/admin/users/:id/penalty
+// @desc    Penalize a user for { durationMinutes, reason }; replaces any running penalty
+// @access  Moderator
+router.post('/users/:id/penalty', auth, requireModerator, async (req, res) => {
+    const durationMinutes = Number(req.body.durationMinutes);
+    if (!Number.isFinite(durationMinutes) || durationMinutes <= 0 || durationMinutes > MAX_PENALTY_MINUTES) {
+        return res.status(400).json({ msg: `durationMinutes must be between 1 and ${MAX_PENALTY_MINUTES}` });
+    }
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    try {
+        const user = await findTargetUser(req, res, { belowActor: true });
+        if (!user) return;
+
+        const previousPenaltyEndTime = user.penaltyEndTime;
+        user.penaltyEndTime = new Date(Date.now() + durationMinutes * 60 * 1000);
+        await user.save();
+
+        await AuditLog.record(req, {
+            action: 'user.penalize',
+            targetType: 'user',
+            targetId: user.id,
+            reason,
+            details: { durationMinutes, previousPenaltyEndTime, penaltyEndTime: user.penaltyEndTime }
+        });
+        res.json({ msg: `${user.username} is penalized until ${user.penaltyEndTime.toISOString()}`, penaltyEndTime: user.penaltyEndTime });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/admin/users/:id/penalty/lift
+// @desc    Lift a user's penalty and clear their warnings
+// @access  Moderator
+router.post('/users/:id/penalty/lift', auth, requireModerator, async (req, res) => {
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    try {
+        const user = await findTargetUser(req, res, { belowActor: true });
+        if (!user) return;
+
+        const details = { previousPenaltyEndTime: user.penaltyEndTime, previousWarningCount: user.warningCount };
+        user.penaltyEndTime = null;
+        user.warningCount = 0;
+        await user.save();
+
+        await AuditLog.record(req, { action: 'user.liftPenalty', targetType: 'user', targetId: user.id, reason, details });
+        res.json({ msg: `Penalty lifted for ${user.username}` });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/admin/users/:id/chat-mute
+// @desc    Mute a user in every lobby and spectator chat for { durationMinutes, reason }
+// @access  Moderator
+router.post('/users/:id/chat-mute', auth, requireModerator, async (req, res) => {
+    const durationMinutes = Number(req.body.durationMinutes);
+    if (!Number.isFinite(durationMinutes) || durationMinutes <= 0 || durationMinutes > MAX_PENALTY_MINUTES) {
+        return res.status(400).json({ msg: `durationMinutes must be between 1 and ${MAX_PENALTY_MINUTES}` });
+    }
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    try {
+        const user = await findTargetUser(req, res, { belowActor: true });
+        if (!user) return;
+
+        const previousChatMutedUntil = user.chatMutedUntil;
+        user.chatMutedUntil = new Date(Date.now() + durationMinutes * 60 * 1000);
+        await user.save();
+
+        await AuditLog.record(req, {
+            action: 'user.chatMute',
+            targetType: 'user',
+            targetId: user.id,
+            reason,
+            details: { durationMinutes, previousChatMutedUntil, chatMutedUntil: user.chatMutedUntil }
+        });
+        res.json({ msg: `${user.username} is muted until ${user.chatMutedUntil.toISOString()}`, chatMutedUntil: user.chatMutedUntil });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/admin/users/:id/chat-mute/lift
+// @desc    Lift a user's chat mute
+// @access  Moderator
+router.post('/users/:id/chat-mute/lift', auth, requireModerator, async (req, res) => {
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    try {
+        const user = await findTargetUser(req, res, { belowActor: true });
+        if (!user) return;
+
+        const details = { previousChatMutedUntil: user.chatMutedUntil };
+        user.chatMutedUntil = null;
+        await user.save();
+
+        await AuditLog.record(req, { action: 'user.liftChatMute', targetType: 'user', targetId: user.id, reason, details });
+        res.json({ msg: `Chat mute lifted for ${user.username}` });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/admin/users/:id/tokens
+// @desc    Add (positive amount) or remove (negative amount) tokens: { amount, reason }
+// @access  Admin
+router.post('/users/:id/tokens', auth, requireAdmin, async (req, res) => {
+    const amount = Number(req.body.amount);
+    if (!Number.isInteger(amount) || amount === 0 || Math.abs(amount) > MAX_TOKEN_ADJUSTMENT) {
+        return res.status(400).json({ msg: `amount must be a non-zero integer up to ${MAX_TOKEN_ADJUSTMENT} either way` });
+    }
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    try {
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+        if (user.tokens + amount < 0) {
+            return res.status(400).json({ msg: `${user.username} only has ${user.tokens} tokens` });
+        }
+
+        const previousTokens = user.tokens;
+        const entry = await TokenTransaction.saveWithTokens(user, amount, 'admin-adjustment', { actorId: req.user.id });
+        if (!entry) return res.status(400).json({ msg: `${user.username} no longer has ${-amount} tokens` });
+
+        await AuditLog.record(req, {
+            action: 'user.adjustTokens',
+            targetType: 'user',
+            targetId: user.id,
+            reason,
+            details: { amount, previousTokens, tokens: user.tokens }
+        });
+        res.json({ msg: `Tokens adjusted for ${user.username}`, tokens: user.tokens });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   GET /api/admin/users/:id/token-history
+// @desc    A user's token ledger, newest first (?reason= to filter)
+// @access  Admin
+router.get('/users/:id/token-history', auth, requireAdmin, async (req, res) => {
+    const { page, limit, skip } = paging(req.query);
+    try {
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+        const filter = { userId: user.id };
+        if (req.query.reason) filter.reason = String(req.query.reason);
+        const [transactions, total] = await Promise.all([
+            TokenTransaction.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+            TokenTransaction.countDocuments(filter)
+        ]);
+        res.json({ username: user.username, tokens: user.tokens, transactions, total, page, limit });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change a user's role: { role, reason }
+// @access  Admin
+router.put('/users/:id/role', auth, requireAdmin, async (req, res) => {
+    const { role } = req.body;
+    if (!User.ROLES.includes(role)) {
+        return res.status(400).json({ msg: `role must be one of: ${User.ROLES.join(', ')}` });
+    }
+    if (req.params.id === req.user.id) {
+        return res.status(400).json({ msg: 'You cannot change your own role' });
+    }
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    try {
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        const previousRole = user.role;
+        user.role = role;
+        await user.save();
+
+        await AuditLog.record(req, { action: 'user.setRole', targetType: 'user', targetId: user.id, reason, details: { previousRole, role } });
+        // ADMIN_USER_IDS still wins over the stored role
+        res.json({ msg: `${user.username} is now ${effectiveRole(user)}`, role: effectiveRole(user) });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   GET /api/admin/lobbies
+// @desc    List lobbies, including ranked and running ones (?gameStarted=true|false)
+// @access  Moderator
+router.get('/lobbies', auth, requireModerator, async (req, res) => {
+    const { page, limit, skip } = paging(req.query);
+    try {
+        const filter = {};
+        if (req.query.gameStarted !== undefined) filter.gameStarted = req.query.gameStarted === 'true';
+        const [lobbies, total] = await Promise.all([
+            Lobby.find(filter)
+                .select('lobbyId name type hostId players.id players.name players.type maxPlayers gameStarted isRanked createdAt')
+                .sort({ createdAt: -1 }).skip(skip).limit(limit),
+            Lobby.countDocuments(filter)
+        ]);
+        res.json({ lobbies, total, page, limit });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   DELETE /api/admin/lobbies/:lobbyId
+// @desc    Force-close a lobby, even mid-game: { reason }. No results or ratings are recorded.
+// @access  Moderator
+router.delete('/lobbies/:lobbyId', auth, requireModerator, async (req, res) => {
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    try {
+        const lobby = await Lobby.findOne({ lobbyId: req.params.lobbyId });
+        if (!lobby) return res.status(404).json({ msg: 'Lobby not found' });
+
+        await closeLobby(lobby.lobbyId);
+        await AuditLog.record(req, {
+            action: 'lobby.close',
+            targetType: 'lobby',
+            targetId: lobby.lobbyId,
+            reason,
+            details: { name: lobby.name, type: lobby.type, gameStarted: lobby.gameStarted, players: lobby.players.map(p => p.name) }
+        });
+        res.json({ msg: 'Lobby closed' });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// Validate the reward and limit fields shared by single and batch code creation.
+// Returns { error } or { fields } ready for RedeemCode documents.
+const normalizeCodeInput = (body) => {
+    const rewards = body.rewards || {};
+    const tokens = rewards.tokens === undefined ? 0 : Number(rewards.tokens);
+    if (!Number.isInteger(tokens) || tokens < 0 || tokens > MAX_TOKEN_ADJUSTMENT) {
+        return { error: `rewards.tokens must be an integer from 0 to ${MAX_TOKEN_ADJUSTMENT}` };
+    }
+    if (rewards.items !== undefined && !Array.isArray(rewards.items)) return { error: 'rewards.items must be an array' };
+
+    const items = [];
+    for (const entry of rewards.items || []) {
+        const itemId = entry && typeof entry === 'object' ? entry.itemId : entry;
+        const item = findShopItem(itemId);
+        if (!item) return { error: `Unknown item "${itemId}"` };
+        const quantity = entry.quantity === undefined ? 1 : Number(entry.quantity);
+        const maxQuantity = isConsumable(item) ? MAX_CONSUMABLE_STACK : 1;
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > maxQuantity) {
+            return { error: `Quantity for "${itemId}" must be from 1 to ${maxQuantity}` };
+        }
+        if (items.some(i => i.itemId === itemId)) return { error: `"${itemId}" is listed twice` };
+        items.push({ itemId, quantity });
+    }
+    if (tokens === 0 && items.length === 0) return { error: 'A code must reward tokens or at least one item' };
+
+    let expiresAt = null;
+    if (body.expiresAt) {
+        expiresAt = new Date(body.expiresAt);
+        if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) return { error: 'expiresAt must be a date in the future' };
+    }
+    const optionalPositiveInt = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+    const maxUses = optionalPositiveInt(body.maxUses);
+    if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) return { error: 'maxUses must be a positive integer' };
+    const maxAccountAgeDays = optionalPositiveInt(body.maxAccountAgeDays);
+    if (maxAccountAgeDays !== null && (!Number.isInteger(maxAccountAgeDays) || maxAccountAgeDays < 1)) {
+        return { error: 'maxAccountAgeDays must be a positive integer' };
+    }
+    return { fields: { rewards: { tokens, items }, expiresAt, maxUses, maxAccountAgeDays } };
+};
+
+// @route   POST /api/admin/codes
+// @desc    Create one custom code ({ code }) or a batch of random ones ({ count, prefix, length }),
+//          with { rewards: { tokens, items: [{ itemId, quantity }] }, expiresAt, maxUses, maxAccountAgeDays, reason }
+// @access  Admin
+router.post('/codes', auth, requireAdmin, async (req, res) => {
+    const { fields, error } = normalizeCodeInput(req.body);
+    if (error) return res.status(400).json({ msg: error });
+
+    let codes;
+    let batchId = null;
+    if (req.body.code !== undefined) {
+        const code = RedeemCode.normalizeCode(req.body.code);
+        if (!CODE_PATTERN.test(code)) return res.status(400).json({ msg: 'code must be 3-32 letters, digits or dashes' });
+        codes = [code];
+    } else {
+        const count = Number(req.body.count);
+        if (!Number.isInteger(count) || count < 1 || count > MAX_CODE_BATCH) {
+            return res.status(400).json({ msg: `count must be from 1 to ${MAX_CODE_BATCH}` });
+        }
+        const prefix = req.body.prefix ? RedeemCode.normalizeCode(req.body.prefix) : '';
+        const length = req.body.length === undefined ? DEFAULT_GENERATED_CODE_LENGTH : Number(req.body.length);
+        if (!Number.isInteger(length) || length < 6 || prefix.length + length > 32 || !/^[A-Z0-9-]*$/.test(prefix)) {
+            return res.status(400).json({ msg: 'length must be at least 6, with prefix and length together at most 32' });
+        }
+        batchId = crypto.randomBytes(6).toString('hex');
+        const generated = new Set();
+        while (generated.size < count) generated.add(randomCode(length, prefix));
+        codes = [...generated];
+    }
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    try {
+        const existing = await RedeemCode.find({ code: { $in: codes } }).select('code');
+        if (existing.length > 0) {
+            return res.status(400).json({ msg: `Code already exists: ${existing.map(c => c.code).join(', ')}` });
+        }
+
+        const created = await RedeemCode.insertMany(codes.map(code => ({ ...fields, code, batchId, createdBy: req.user.username })));
+        await AuditLog.record(req, {
+            action: 'code.create',
+            targetType: 'code',
+            targetId: batchId || codes[0],
+            reason,
+            details: { count: created.length, batchId, ...fields }
+        });
+        res.status(201).json({ batchId, codes: created.map(c => c.code), ...fields });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   GET /api/admin/codes
+// @desc    List redeem codes without their redemptions (filters: batchId, active, search)
+// @access  Admin
+router.get('/codes', auth, requireAdmin, async (req, res) => {
+    const { page, limit, skip } = paging(req.query);
+    try {
+        const filter = {};
+        if (req.query.batchId) filter.batchId = String(req.query.batchId);
+        if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+        if (req.query.search) filter.code = { $regex: escapeRegex(RedeemCode.normalizeCode(req.query.search)) };
+        const [codes, total] = await Promise.all([
+            RedeemCode.find(filter).select('-redemptions').sort({ createdAt: -1 }).skip(skip).limit(limit),
+            RedeemCode.countDocuments(filter)
+        ]);
+        res.json({ codes, total, page, limit });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   GET /api/admin/codes/stats
+// @desc    Redemption totals per batch (single custom codes are grouped under batchId null)
+// @access  Admin
+router.get('/codes/stats', auth, requireAdmin, async (req, res) => {
+    try {
+        const match = req.query.batchId ? { batchId: String(req.query.batchId) } : {};
+        const now = new Date();
+        const batches = await RedeemCode.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: '$batchId',
+                    codes: { $sum: 1 },
+                    active: { $sum: { $cond: [{ $and: ['$active', { $or: [{ $eq: ['$expiresAt', null] }, { $gt: ['$expiresAt', now] }] }] }, 1, 0] } },
+                    redeemedCodes: { $sum: { $cond: [{ $gt: ['$uses', 0] }, 1, 0] } },
+                    totalUses: { $sum: '$uses' },
+                    tokensGranted: { $sum: { $multiply: ['$uses', '$rewards.tokens'] } },
+                    firstCreatedAt: { $min: '$createdAt' }
+                }
+            },
+            { $sort: { firstCreatedAt: -1 } }
+        ]);
+        res.json({ batches: batches.map(({ _id, ...stats }) => ({ batchId: _id, ...stats })) });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   GET /api/admin/codes/:code
+// @desc    Get a code including who redeemed it
+// @access  Admin
+router.get('/codes/:code', auth, requireAdmin, async (req, res) => {
+    try {
+        const code = await RedeemCode.findOne({ code: RedeemCode.normalizeCode(req.params.code) });
+        if (!code) return res.status(404).json({ msg: 'Code not found' });
+        res.json(code);
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/admin/codes/:code/deactivate
+// @desc    Stop a code from being redeemed: { reason }
+// @access  Admin
+router.post('/codes/:code/deactivate', auth, requireAdmin, async (req, res) => {
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    try {
+        const code = await RedeemCode.findOne({ code: RedeemCode.normalizeCode(req.params.code) });
+        if (!code) return res.status(404).json({ msg: 'Code not found' });
+        if (!code.active) return res.status(400).json({ msg: 'Code is already inactive' });
+
+        code.active = false;
+        await code.save();
+        await AuditLog.record(req, { action: 'code.deactivate', targetType: 'code', targetId: code.code, reason, details: { uses: code.uses } });
+        res.json({ msg: `${code.code} deactivated` });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   PUT /api/admin/seasons/current
+// @desc    Change the running season: { name, endsAt, softReset: { baseline, factor }, reason }
+// @access  Admin
+router.put('/seasons/current', auth, requireAdmin, async (req, res) => {
+    const { name, endsAt, softReset } = req.body;
+    const updates = {};
+    if (name !== undefined) {
+        if (typeof name !== 'string' || !name.trim() || name.trim().length > 50) {
+            return res.status(400).json({ msg: 'name must be 1-50 characters' });
+        }
+        updates.name = name.trim();
+    }
+    if (endsAt !== undefined) {
+        const date = new Date(endsAt);
+        if (isNaN(date.getTime()) || date <= new Date()) return res.status(400).json({ msg: 'endsAt must be a date in the future' });
+        updates.endsAt = date;
+    }
+    if (softReset !== undefined) {
+        const baseline = Number(softReset && softReset.baseline);
+        const factor = Number(softReset && softReset.factor);
+        if (!Number.isInteger(baseline) || baseline < 0 || !(factor >= 0 && factor <= 1)) {
+            return res.status(400).json({ msg: 'softReset needs a non-negative integer baseline and a factor from 0 to 1' });
+        }
+        updates.softReset = { baseline, factor };
+    }
+    if (Object.keys(updates).length === 0) return res.status(400).json({ msg: 'Nothing to update' });
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    try {
+        const season = await getCurrentSeason();
+        if (!season || season.status !== 'active') return res.status(409).json({ msg: 'No season is running' });
+
+        const before = { name: season.name, endsAt: season.endsAt, softReset: season.toObject().softReset };
+        Object.assign(season, updates);
+        await season.save();
+        if (updates.endsAt) scheduleRollover();
+
+        await AuditLog.record(req, { action: 'season.update', targetType: 'season', targetId: String(season.number), reason, details: { before, after: updates } });
+        res.json({ msg: `${season.name} updated`, season });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/admin/seasons/current/end
+// @desc    End the running season now: archive standings, pay rewards, soft-reset ratings
+//          and start the next season: { reason }
+// @access  Admin
+router.post('/seasons/current/end', auth, requireAdmin, async (req, res) => {
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    try {
+        const season = await getCurrentSeason();
+        if (!season || season.status !== 'active') return res.status(409).json({ msg: 'No season is running' });
+
+        const next = await endSeason(season._id);
+        if (!next) return res.status(409).json({ msg: 'The season is already ending' });
+
+        await AuditLog.record(req, { action: 'season.end', targetType: 'season', targetId: String(season.number), reason, details: { nextSeason: next.number } });
+        res.json({ msg: `${season.name} ended`, season: next });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   GET /api/admin/chat-reports
+// @desc    Reported chat messages, newest first (filters: status (default open), senderId, lobbyId)
+// @access  Moderator
+router.get('/chat-reports', auth, requireModerator, async (req, res) => {
+    const { page, limit, skip } = paging(req.query);
+    try {
+        const filter = { status: req.query.status ? String(req.query.status) : 'open' };
+        ['senderId', 'lobbyId'].forEach(key => {
+            if (req.query[key]) filter[key] = String(req.query[key]);
+        });
+        const [reports, total] = await Promise.all([
+            ChatReport.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+            ChatReport.countDocuments(filter)
+        ]);
+        res.json({ reports, total, page, limit });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/admin/chat-reports/:id/resolve
+// @desc    Close a report, and every other open report of the same message: { status, reason }
+//          status is 'dismissed' or 'actioned'; mute the sender with /users/:id/chat-mute.
+// @access  Moderator
+router.post('/chat-reports/:id/resolve', auth, requireModerator, async (req, res) => {
+    const { status } = req.body;
+    if (!['dismissed', 'actioned'].includes(status)) {
+        return res.status(400).json({ msg: "status must be 'dismissed' or 'actioned'" });
+    }
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    try {
+        const report = await ChatReport.findById(req.params.id);
+        if (!report) return res.status(404).json({ msg: 'Report not found' });
+        if (report.status !== 'open') return res.status(400).json({ msg: `The report is already ${report.status}` });
+
+        const resolved = await ChatReport.updateMany(
+            { messageId: report.messageId, status: 'open' },
+            { status, reviewedBy: req.user.username, reviewedAt: new Date(), resolution: reason }
+        );
+        await AuditLog.record(req, {
+            action: `report.${status === 'dismissed' ? 'dismiss' : 'action'}`,
+            targetType: 'report',
+            targetId: report.id,
+            reason,
+            details: { senderId: report.senderId, lobbyId: report.lobbyId, message: report.message, reportsClosed: resolved.modifiedCount }
+        });
+        res.json({ msg: `Report ${status}`, reportsClosed: resolved.modifiedCount });
+    } catch (err) {
+        if (err.name === 'CastError') return res.status(404).json({ msg: 'Report not found' });
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   GET /api/admin/audit-log
+// @desc    Audit log, newest first (filters: action, actorId, targetType, targetId)
+// @access  Admin
+router.get('/audit-log', auth, requireAdmin, async (req, res) => {
+    const { page, limit, skip } = paging(req.query);
+    try {
+        const filter = {};
+        ['action', 'actorId', 'targetType', 'targetId'].forEach(key => {
+            if (req.query[key]) filter[key] = String(req.query[key]);
+        });
+        const [entries, total] = await Promise.all([
+            AuditLog.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+            AuditLog.countDocuments(filter)
+        ]);
+        res.json({ entries, total, page, limit });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,81 @@
+// utils/answerMatcher.js
+// Compare a player's answer against a question's accepted answers.
+//
+// Match modes:
+//   exact            - identical after trimming
+//   case-insensitive - identical after trimming, ignoring case and repeated whitespace (default)
+//   cpp-token        - C++ aware: both are split into C++ tokens and compared token by token,
+//                      so "int *ptr;" matches "int* ptr;" but "a - > b" doesn't match "a->b".
+//                      Case-sensitive, like C++.
+//   numeric          - the whole answer must be a number equal to the accepted number,
+//                      so "0.50" matches ".5" and "1,000" matches "1000", but "x4" matches nothing
+//   regex            - each accepted answer is a pattern that must match the whole answer (case-insensitive)
+
+const MATCH_MODES = ['exact', 'case-insensitive', 'cpp-token', 'numeric', 'regex'];
+const DEFAULT_MATCH_MODE = 'case-insensitive';
+
+const collapseWhitespace = (text) => text.trim().replace(/\s+/g, ' ');
+
+// Identifiers and literals, then multi-character operators (longest first), then any other
+// single character. Whitespace only separates tokens.
+const CPP_TOKEN = /[A-Za-z_]\w*|\d[\w.']*|\.\d[\w.']*|\.\.\.|->\*|->|::|\.\*|\+\+|--|<<=|>>=|<=>|<<|>>|&&|\|\||##|[-+*\/%&|^!=<>]=|\S/g;
+
+const normalizeCppTokens = (text) => (text.match(CPP_TOKEN) || []).join(' ');
+
+const parseNumber = (text) => {
+    const trimmed = text.trim().replace(/,(?=\d{3}\b)/g, '');
+    return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(trimmed) ? parseFloat(trimmed) : NaN;
+};
+
+const NUMERIC_TOLERANCE = 1e-9;
+
+const matchers = {
+    'exact': (answer, accepted) => answer.trim() === accepted.trim(),
+    'case-insensitive': (answer, accepted) => collapseWhitespace(answer).toLowerCase() === collapseWhitespace(accepted).toLowerCase(),
+    'cpp-token': (answer, accepted) => normalizeCppTokens(answer) === normalizeCppTokens(accepted),
+    'numeric': (answer, accepted) => {
+        const given = parseNumber(answer);
+        const expected = parseNumber(accepted);
+        return !Number.isNaN(given) && !Number.isNaN(expected) && Math.abs(given - expected) <= NUMERIC_TOLERANCE;
+    },
+    'regex': (answer, accepted) => {
+        try {
+            return new RegExp(`^(?:${accepted})$`, 'i').test(answer.trim());
+        } catch (e) {
+            return false; // An invalid pattern never matches
+        }
+    }
+};
+
+// Throws if `pattern` is not a valid regex; used to validate questions when they are authored
+const assertValidPattern = (pattern) => {
+    new RegExp(`^(?:${pattern})$`, 'i');
+};
+
+// The answer shown to players, e.g. in "The answer was ..." messages
+const canonicalAnswer = (question) => question.displayAnswer || question.answers[0];
+
+// question: { answers: [String], matchMode, displayAnswer }
+// Returns { isCorrect, matchedAnswer, canonicalAnswer, matchMode }; matchedAnswer is the
+// accepted form that matched, or null.
+const matchAnswer = (userAnswer, question) => {
+    const matchMode = MATCH_MODES.includes(question.matchMode) ? question.matchMode : DEFAULT_MATCH_MODE;
+    const matcher = matchers[matchMode];
+    const matchedAnswer = typeof userAnswer === 'string' && userAnswer.trim() !== ''
+        ? question.answers.find(accepted => matcher(userAnswer, accepted)) || null
+        : null;
+    return {
+        isCorrect: matchedAnswer !== null,
+        matchedAnswer,
+        canonicalAnswer: canonicalAnswer(question),
+        matchMode
+    };
+};
+
+module.exports = {
+    MATCH_MODES,
+    DEFAULT_MATCH_MODE,
+    matchAnswer,
+    canonicalAnswer,
+    assertValidPattern
+};
@@ -4,21 +4,9 @@ const router = express.Router();
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-
-// Middleware to verify JWT (can be moved to a separate file if needed)
-const auth = (req, res, next) => {
-    const token = req.header('x-auth-token');
-    if (!token) {
-        return res.status(401).json({ msg: 'No token, authorization denied' });
-    }
-    try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded.user;
-        next();
-    } catch (e) {
-        res.status(401).json({ msg: 'Token is not valid' });
-    }
-};
+const TokenTransaction = require('../models/TokenTransaction');
+const auth = require('../middleware/auth');
+const { findShopItem, isConsumable } = require('../config/shopCatalog');
 
 // @route   POST /api/auth/signup
 // @desc    Register new user
@@ -37,6 +25,8 @@ router.post('/signup', async (req, res) => {
         user.password = await bcrypt.hash(password, salt);
 
         await user.save();
+        // Opening ledger entry, so every balance can be traced back to account creation
+        await TokenTransaction.recordOpeningBalance(user);
 
         const payload = {
             user: {
@@ -76,6 +66,10 @@ router.post('/login', async (req, res) => {
             return res.status(400).json({ msg: 'Invalid Credentials' });
         }
 
+        if (user.convertLegacyConsumables(itemId => isConsumable(findShopItem(itemId)))) {
+            await user.save();
+        }
+
         const payload = {
             user: {
                 id: user.id,
@@ -92,6 +86,7 @@ router.post('/login', async (req, res) => {
                 res.json({ token, user: {
                     id: user.id,
                     username: user.username,
+                    role: user.role,
                     elo: user.elo,
                     casualPoints: user.casualPoints,
                     rankedCorrectAnswers: user.rankedCorrectAnswers,
@@ -102,6 +97,7 @@ router.post('/login', async (req, res) => {
                     soloStageAccuracy: user.soloStageAccuracy,
                     tokens: user.tokens,
                     inventory: user.inventory,
+                    consumables: user.consumables,
                     equippedTitle: user.equippedTitle,
                     warningCount: user.warningCount,
                     penaltyEndTime: user.penaltyEndTime
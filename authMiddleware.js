@@ -0,0 +1,80 @@
+// middleware/auth.js
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+// Middleware to verify JWT; sets req.user to the token payload ({ id, username })
+const auth = (req, res, next) => {
+    const token = req.header('x-auth-token');
+    if (!token) {
+        return res.status(401).json({ msg: 'No token, authorization denied' });
+    }
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        req.user = decoded.user;
+        next();
+    } catch (e) {
+        res.status(401).json({ msg: 'Token is not valid' });
+    }
+};
+
+// User IDs in ADMIN_USER_IDS (comma-separated) are always admins. This bootstraps the
+// first admin, who can then grant roles through the admin API. IDs rather than usernames,
+// so nobody can become an admin by signing up with a listed name before its owner does.
+const isBootstrapAdmin = (userId) => {
+    const admins = (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+    return admins.includes(userId);
+};
+
+const effectiveRole = (user) => (isBootstrapAdmin(user.id) ? 'admin' : user.role || 'user');
+
+// Use after auth. Allows users whose role is at least `minimumRole` (see User.ROLES).
+// The role is read from the database, so changes apply without a new token; req.user.role is set.
+const requireRole = (minimumRole) => async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id).select('username role');
+        if (!user) return res.status(404).json({ msg: 'User not found' });
+
+        const role = effectiveRole(user);
+        if (User.ROLES.indexOf(role) < User.ROLES.indexOf(minimumRole)) {
+            return res.status(403).json({ msg: 'You do not have permission to do this' });
+        }
+        req.user.role = role;
+        next();
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+const requireModerator = requireRole('moderator');
+const requireAdmin = requireRole('admin');
+
+// Every socket of a user is in this room, so targeted events reach all their tabs
+const userRoom = (userId) => `user:${userId}`;
+
+// Socket.IO middleware (io.use): the same JWT as the REST routes, sent as { auth: { token } }
+// in the handshake. Binds socket.userId / socket.username and joins the user's room.
+const socketAuth = (socket, next) => {
+    const { token } = socket.handshake.auth || {};
+    if (!token) {
+        return next(new Error('No token, authorization denied'));
+    }
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        socket.userId = decoded.user.id;
+        socket.username = decoded.user.username;
+        socket.join(userRoom(socket.userId));
+        next();
+    } catch (e) {
+        next(new Error('Token is not valid'));
+    }
+};
+
+module.exports = auth;
+module.exports.auth = auth;
+module.exports.requireRole = requireRole;
+module.exports.requireModerator = requireModerator;
+module.exports.requireAdmin = requireAdmin;
+module.exports.effectiveRole = effectiveRole;
+module.exports.socketAuth = socketAuth;
+module.exports.userRoom = userRoom;
@@ -0,0 +1,89 @@
+// utils/brackets.js
+// Pairing maths for tournaments, independent of the database. Players are passed around as
+// { userId, seed } (seed 1 is the highest rated) plus the Swiss standings where needed.
+
+// Positions of seeds 1..size in a bracket where the top seeds only meet in the late rounds,
+// e.g. 8 -> [1, 8, 4, 5, 2, 7, 3, 6]. `size` is a power of two.
+const bracketOrder = (size) => {
+    let order = [1];
+    while (order.length < size) {
+        const next = order.length * 2;
+        order = order.flatMap(seed => [seed, next + 1 - seed]);
+    }
+    return order;
+};
+
+// First round of a single-elimination bracket with `groupSize` players per match (a power of
+// two). Seeds are dealt across the matches in snake order, so the top seeds get the byes, and
+// the matches are laid out in bracket order. Match i of a round feeds match
+// floor(i / groupSize) of the next one. Returns arrays of userIds; a one-player group is a bye.
+const singleEliminationFirstRound = (players, groupSize) => {
+    let matchCount = 1;
+    while (matchCount * groupSize < players.length) matchCount *= groupSize;
+
+    const groups = Array.from({ length: matchCount }, () => []);
+    [...players].sort((a, b) => a.seed - b.seed).forEach((player, index) => {
+        const pass = Math.floor(index / matchCount);
+        const offset = index % matchCount;
+        groups[pass % 2 === 0 ? offset : matchCount - 1 - offset].push(player.userId);
+    });
+    // groups[k] holds seed k + 1 at its top; put it where that seed belongs in the bracket
+    return bracketOrder(matchCount).map(seed => groups[seed - 1]);
+};
+
+// Number of matches in each round of a single-elimination bracket that starts with
+// `firstRoundMatches` matches
+const singleEliminationRounds = (firstRoundMatches, groupSize) => {
+    let rounds = 1;
+    for (let matches = firstRoundMatches; matches > 1; matches = Math.ceil(matches / groupSize)) rounds++;
+    return rounds;
+};
+
+// Standings order for Swiss: points, then Buchholz (opponents' points), then seed
+const compareStandings = (a, b) => (b.points - a.points) || (b.buchholz - a.buchholz) || (a.seed - b.seed);
+
+// One Swiss round. `players` carry { userId, seed, points, buchholz, opponents, byes }.
+// Players are grouped down the standings; in 1v1 each player is paired with the nearest one
+// below them they have not met yet. If the field does not divide into groups the lowest
+// player without a bye sits out. Returns { groups, byeUserId }.
+const swissRound = (players, groupSize) => {
+    const standings = [...players].sort(compareStandings);
+    let byeUserId = null;
+    if (standings.length % groupSize === 1) {
+        const byePlayer = [...standings].reverse().find(p => p.byes === 0) || standings[standings.length - 1];
+        byeUserId = byePlayer.userId;
+        standings.splice(standings.indexOf(byePlayer), 1);
+    }
+
+    const groups = [];
+    if (groupSize === 2) {
+        const unpaired = [...standings];
+        while (unpaired.length > 1) {
+            const player = unpaired.shift();
+            let opponentIndex = unpaired.findIndex(p => !player.opponents.includes(p.userId));
+            if (opponentIndex === -1) opponentIndex = 0; // Everyone left is a rematch
+            const [opponent] = unpaired.splice(opponentIndex, 1);
+            groups.push([player.userId, opponent.userId]);
+        }
+    } else {
+        for (let i = 0; i < standings.length; i += groupSize) {
+            groups.push(standings.slice(i, i + groupSize).map(p => p.userId));
+        }
+    }
+    return { groups, byeUserId };
+};
+
+// Swiss points for finishing `placement` in a match of `size` players: one per player beaten
+const matchPoints = (placement, size) => Math.max(0, size - placement);
+
+const defaultSwissRounds = (playerCount) => Math.max(1, Math.ceil(Math.log2(playerCount)));
+
+module.exports = {
+    bracketOrder,
+    singleEliminationFirstRound,
+    singleEliminationRounds,
+    compareStandings,
+    swissRound,
+    matchPoints,
+    defaultSwissRounds
+};
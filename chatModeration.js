@@ -0,0 +1,18 @@
+// config/chatModeration.js
+// Limits for lobby and spectator chat. The word filter uses BLOCKED_WORDS unless
+// CHAT_BLOCKED_WORDS (comma-separated) is set, so the list can change without a release.
+const DEFAULT_BLOCKED_WORDS = [
+    'fuck', 'fucker', 'fucking', 'shit', 'bitch', 'bastard', 'asshole',
+    'cunt', 'dick', 'prick', 'slut', 'whore', 'retard', 'fag', 'faggot'
+];
+
+const wordsFromEnv = (process.env.CHAT_BLOCKED_WORDS || '').split(',').map(w => w.trim()).filter(Boolean);
+
+module.exports = {
+    MAX_CHAT_MESSAGE_LENGTH: 300, // Characters, after trimming
+    MAX_CHAT_HISTORY: 200, // Messages kept per lobby in each channel (players, spectators)
+    CHAT_RATE_LIMIT: { limit: 5, windowMs: 10 * 1000 }, // Messages per user, across lobbies
+    REPORT_RATE_LIMIT: { limit: 10, windowMs: 60 * 60 * 1000 }, // Reports per user
+    MAX_LOBBY_MUTE_MINUTES: 24 * 60, // Host mutes; staff mute globally through the admin API
+    BLOCKED_WORDS: wordsFromEnv.length > 0 ? wordsFromEnv : DEFAULT_BLOCKED_WORDS
+};
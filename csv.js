@@ -0,0 +1,65 @@
+// utils/csv.js
+// Minimal RFC 4180 CSV helpers: quoted fields, escaped quotes ("") and newlines inside quotes.
+
+const escapeField = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// rows: array of objects; columns: keys to write, in order. First line is the header.
+const toCsv = (rows, columns) => {
+    const lines = [columns.join(',')];
+    rows.forEach(row => lines.push(columns.map(c => escapeField(row[c])).join(',')));
+    return lines.join('\r\n');
+};
+
+// Parse CSV text with a header line into an array of objects keyed by header name
+const parseCsv = (text) => {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (inQuotes) throw new Error('Unterminated quoted field');
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const nonEmpty = records.filter(r => !(r.length === 1 && r[0].trim() === ''));
+    if (nonEmpty.length === 0) return [];
+    const header = nonEmpty[0].map(h => h.trim());
+    return nonEmpty.slice(1).map(r => {
+        const row = {};
+        header.forEach((key, index) => { row[key] = r[index] !== undefined ? r[index] : ''; });
+        return row;
+    });
+};
+
+module.exports = { toCsv, parseCsv };
@@ -0,0 +1,14 @@
+// config/defaultQuestions.js
+// Seed data for an empty question bank (see Question.seedDefaults)
+module.exports = [
+    { type: 'qna', category: 'basics', difficulty: 'easy', q: "What is the output of: cout << 2 + 2;", answers: ["4"], matchMode: 'numeric' },
+    { type: 'qna', category: 'basics', difficulty: 'easy', q: "Which keyword is used for constant?", answers: ["const"] },
+    { type: 'qna', category: 'types', difficulty: 'medium', q: "How many bytes is an int?", answers: ["4"], matchMode: 'numeric' },
+    { type: 'qna', category: 'pointers', difficulty: 'medium', q: "C++ pointer access operator?", answers: ["->"], matchMode: 'cpp-token' },
+    { type: 'qna', category: 'pointers', difficulty: 'medium', q: "Declare a pointer to int", answers: ["int* ptr;", "int* ptr"], matchMode: 'cpp-token' },
+    { type: 'fill-in-blanks', category: 'basics', difficulty: 'easy', q: "int main() { cout << \"Hello, ___\"; return 0; }", answers: ["world"], hint: "Common greeting" },
+    { type: 'fill-in-blanks', category: 'basics', difficulty: 'easy', q: "int ___ = 10;", answers: ["x"], hint: "A common variable name" },
+    { type: 'fill-in-blanks', category: 'loops', difficulty: 'easy', q: "for (int i = 0; i < ___; i++)", answers: ["10"], matchMode: 'numeric', hint: "A typical loop limit" },
+    { type: 'fill-in-blanks', category: 'classes', difficulty: 'medium', q: "class MyClass { public: MyClass() { /* constructor */ } };", answers: ["MyClass"], matchMode: 'exact', hint: "Name of the class" },
+    { type: 'fill-in-blanks', category: 'types', difficulty: 'easy', q: "std::string ___ = \"C++\";", answers: ["language"], hint: "What is C++?" }
+];
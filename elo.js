@@ -0,0 +1,52 @@
+// utils/elo.js
+// Elo rating helpers for ranked matches. Ratings are computed once per match
+// from final placements, not per question.
+
+const DEFAULT_RATING = 1000; // Starting rating for new accounts
+const PROVISIONAL_GAMES = 20; // Ranked matches before an account's rating is considered established
+const PROVISIONAL_K = 40; // New accounts move faster towards their true rating
+const ESTABLISHED_K = 20;
+
+// Probability that a player rated `rating` beats one rated `opponentRating`
+const expectedScore = (rating, opponentRating) => {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+};
+
+const kFactor = (gamesPlayed) => {
+    return gamesPlayed < PROVISIONAL_GAMES ? PROVISIONAL_K : ESTABLISHED_K;
+};
+
+// Compute rating deltas for one match.
+// participants: [{ id, rating, placement, gamesPlayed }], placement 1 is best; equal placements draw.
+// Every pair of participants is scored as a head-to-head game (1 win, 0.5 draw, 0 loss) and the
+// result is averaged over the n - 1 opponents, so a 1v1 reduces to the standard Elo update.
+// Returns a Map of id -> integer rating delta.
+const computeRatingChanges = (participants) => {
+    const changes = new Map();
+    const opponentsCount = participants.length - 1;
+    if (opponentsCount < 1) {
+        participants.forEach(p => changes.set(p.id, 0));
+        return changes;
+    }
+
+    participants.forEach(p => {
+        let scoreDifference = 0;
+        participants.forEach(opponent => {
+            if (opponent.id === p.id) return;
+            let actual = 0.5;
+            if (p.placement < opponent.placement) actual = 1;
+            else if (p.placement > opponent.placement) actual = 0;
+            scoreDifference += actual - expectedScore(p.rating, opponent.rating);
+        });
+        changes.set(p.id, Math.round(kFactor(p.gamesPlayed) * scoreDifference / opponentsCount));
+    });
+    return changes;
+};
+
+module.exports = {
+    DEFAULT_RATING,
+    PROVISIONAL_GAMES,
+    expectedScore,
+    kFactor,
+    computeRatingChanges
+};
@@ -0,0 +1,238 @@
+// services/evaluators.js
+// Pluggable evaluators for solo challenge submissions. The backend is chosen by
+// SOLO_EVALUATOR: 'judge' (local C++ judge, default), 'gemini' (LLM only) or 'fake'
+// (scripted verdicts for tests and offline environments).
+//
+// Every evaluator resolves evaluate({ code, stage }) to
+// { isCorrect, accuracy, evaluation, verdict, passed, total, tests, diagnostics }
+// and is wrapped with a timeout and retries. When it still fails, EvaluatorUnavailableError
+// is thrown so callers can bail out before touching any user progress.
+const { judgeCpp, VERDICTS } = require('./judge');
+
+const DEFAULT_TIMEOUT_MS = {
+    judge: 60 * 1000, // Includes compilation and every test case
+    gemini: 20 * 1000,
+    fake: 1000
+};
+const DEFAULT_RETRIES = 1;
+const RETRY_DELAY_MS = 500;
+
+class EvaluatorUnavailableError extends Error {
+    constructor(evaluatorName, cause) {
+        super(`Evaluator "${evaluatorName}" is unavailable${cause ? `: ${cause.message}` : ''}`);
+        this.name = 'EvaluatorUnavailableError';
+        this.cause = cause;
+    }
+}
+
+const callGemini = async (prompt) => {
+    const geminiApiKey = process.env.GEMINI_API_KEY;
+    if (!geminiApiKey) throw new Error('GEMINI_API_KEY is not set');
+
+    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${geminiApiKey}`;
+    const geminiResponse = await fetch(apiUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ contents: [{ role: "user", parts: [{ text: prompt }] }] })
+    });
+    if (!geminiResponse.ok) throw new Error(`Gemini responded with ${geminiResponse.status}`);
+
+    const geminiResult = await geminiResponse.json();
+    const text = geminiResult.candidates && geminiResult.candidates[0] && geminiResult.candidates[0].content &&
+        geminiResult.candidates[0].content.parts && geminiResult.candidates[0].content.parts[0] &&
+        geminiResult.candidates[0].content.parts[0].text;
+    if (!text) throw new Error('Gemini returned no text');
+    return text;
+};
+
+const parseAccuracy = (text) => {
+    const accuracyMatch = text.match(/Accuracy:\s*(\d+)/i);
+    return accuracyMatch ? Math.min(100, parseInt(accuracyMatch[1])) : null;
+};
+
+// Optional 0-100 code-quality score for accepted solutions; null if Gemini is not configured or fails
+const scoreCodeQuality = async (code, problem) => {
+    if (!process.env.GEMINI_API_KEY) return null;
+    const prompt = `You are a C++ code reviewer. The following code has already been verified to solve the problem correctly. Rate its quality from 0 to 100 based on code simplicity, efficiency, and adherence to best practices. A correct but overly complex solution should score lower than a correct and simple one.
+
+Problem Description:
+${problem}
+
+User's C++ Code:
+\`\`\`cpp
+${code}
+\`\`\`
+
+Respond with 'Accuracy: [0-100]' followed by one sentence of feedback.`;
+    try {
+        return parseAccuracy(await callGemini(prompt));
+    } catch (err) {
+        console.error('Error scoring code quality:', err.message);
+        return null;
+    }
+};
+
+// Human-readable summary of a judge report for the solo result panel
+const formatJudgeReport = (report) => {
+    if (report.verdict === VERDICTS.CE) {
+        return `CE - Compilation error\n\n${report.diagnostics}`;
+    }
+    const lines = report.tests.map(t => `Test ${t.index}${t.hidden ? ' (hidden)' : ''}: ${t.verdict}${t.message ? ` - ${t.message}` : ''} (${t.timeMs} ms)`);
+    return `${report.verdict} - Passed ${report.passed}/${report.total} tests\n${lines.join('\n')}`;
+};
+
+const judgeEvaluator = {
+    name: 'judge',
+    evaluate: async ({ code, stage }) => {
+        const report = await judgeCpp(code, stage.testCases);
+        const isCorrect = report.verdict === VERDICTS.AC;
+
+        // Share of passed tests, replaced by the LLM quality score for accepted solutions when available
+        let accuracy = report.total > 0 ? Math.round((report.passed / report.total) * 100) : 0;
+        if (isCorrect) {
+            const qualityScore = await scoreCodeQuality(code, stage.problem);
+            if (qualityScore !== null) accuracy = qualityScore;
+        }
+        return {
+            isCorrect,
+            accuracy,
+            evaluation: formatJudgeReport(report),
+            verdict: report.verdict,
+            passed: report.passed,
+            total: report.total,
+            tests: report.tests,
+            diagnostics: report.diagnostics
+        };
+    }
+};
+
+// LLM-only evaluation: correctness is whatever Gemini says. Kept for environments without a toolchain.
+const geminiEvaluator = {
+    name: 'gemini',
+    evaluate: async ({ code, stage }) => {
+        const expectedOutput = stage.testCases.filter(t => !t.hidden)
+            .map(t => (t.input ? `Input: ${t.input}\nOutput: ${t.expectedOutput}` : t.expectedOutput)).join('\n\n');
+        const prompt = `You are a C++ code evaluator. Your task is to determine if the provided C++ code correctly solves the given problem and produces the exact expected output. Additionally, provide an accuracy score (0-100) based on code simplicity, efficiency, and adherence to best practices.
+
+Problem Description:
+${stage.problem}
+
+Expected Output:
+${expectedOutput}
+
+User's C++ Code:
+\`\`\`cpp
+${code}
+\`\`\`
+
+Evaluate the code. If the code correctly solves the problem and produces the exact expected output, respond with 'CORRECT (Accuracy: [0-100])'. If it does not, respond with 'INCORRECT (Accuracy: [0-100]) - [Explanation]'. The accuracy score should reflect how well the code is written, not just if it passes tests. For example, a correct but overly complex solution might get a lower accuracy score than a correct and simple one.`;
+
+        const text = await callGemini(prompt);
+        const isCorrect = text.trim().toUpperCase().startsWith('CORRECT');
+        return {
+            isCorrect,
+            accuracy: parseAccuracy(text) || 0,
+            evaluation: text,
+            verdict: isCorrect ? VERDICTS.AC : VERDICTS.WA,
+            passed: null,
+            total: null,
+            tests: [],
+            diagnostics: ''
+        };
+    }
+};
+
+// Deterministic evaluator for tests. `script` is a list of verdicts consumed in order
+// ('AC', 'WA', 'TLE', 'RE', 'CE' or 'unavailable' to simulate an outage); once it runs
+// out, `defaultVerdict` is used. FAKE_EVALUATOR_SCRIPT="AC,WA,unavailable" configures it from the env.
+const createFakeEvaluator = ({ script = [], defaultVerdict = VERDICTS.AC, accuracy = 100 } = {}) => {
+    const remaining = [...script];
+    return {
+        name: 'fake',
+        evaluate: async ({ stage }) => {
+            const verdict = remaining.length > 0 ? remaining.shift() : defaultVerdict;
+            if (verdict === 'unavailable') throw new Error('Scripted outage');
+            const total = stage.testCases.length;
+            const isCorrect = verdict === VERDICTS.AC;
+            return {
+                isCorrect,
+                accuracy: isCorrect ? accuracy : 0,
+                evaluation: `${verdict} - Scripted verdict`,
+                verdict,
+                passed: isCorrect ? total : 0,
+                total,
+                tests: [],
+                diagnostics: ''
+            };
+        }
+    };
+};
+
+const withTimeout = (promise, timeoutMs) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs} ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Wrap an evaluator with a per-attempt timeout and retries. A timed-out attempt is not
+// cancelled (the judge keeps its own limits); its result is simply ignored.
+const makeResilient = (evaluator, { timeoutMs, retries }) => ({
+    name: evaluator.name,
+    evaluate: async (submission) => {
+        let lastError;
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            try {
+                return await withTimeout(evaluator.evaluate(submission), timeoutMs);
+            } catch (err) {
+                lastError = err;
+                console.error(`Evaluator "${evaluator.name}" attempt ${attempt + 1} failed:`, err.message);
+                if (attempt < retries) await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+            }
+        }
+        throw new EvaluatorUnavailableError(evaluator.name, lastError);
+    }
+});
+
+const createEvaluator = (name, options = {}) => {
+    let evaluator;
+    if (name === 'judge') evaluator = judgeEvaluator;
+    else if (name === 'gemini') evaluator = geminiEvaluator;
+    else if (name === 'fake') evaluator = createFakeEvaluator(options.fake);
+    else throw new Error(`Unknown solo evaluator "${name}"`);
+
+    return makeResilient(evaluator, {
+        timeoutMs: options.timeoutMs || DEFAULT_TIMEOUT_MS[name],
+        retries: options.retries !== undefined ? options.retries : DEFAULT_RETRIES
+    });
+};
+
+let soloEvaluator = null;
+
+// The evaluator configured for this process, built on first use
+const getSoloEvaluator = () => {
+    if (!soloEvaluator) {
+        const name = process.env.SOLO_EVALUATOR || 'judge';
+        const script = process.env.FAKE_EVALUATOR_SCRIPT ? process.env.FAKE_EVALUATOR_SCRIPT.split(',').map(v => v.trim()) : [];
+        soloEvaluator = createEvaluator(name, {
+            timeoutMs: parseInt(process.env.SOLO_EVALUATOR_TIMEOUT_MS) || undefined,
+            retries: process.env.SOLO_EVALUATOR_RETRIES !== undefined ? parseInt(process.env.SOLO_EVALUATOR_RETRIES) : undefined,
+            fake: { script }
+        });
+    }
+    return soloEvaluator;
+};
+
+// Swap the process-wide evaluator, e.g. for createEvaluator('fake', { fake: { script } }) in tests
+const setSoloEvaluator = (evaluator) => {
+    soloEvaluator = evaluator;
+};
+
+module.exports = {
+    EvaluatorUnavailableError,
+    createEvaluator,
+    createFakeEvaluator,
+    getSoloEvaluator,
+    setSoloEvaluator
+};
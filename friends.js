@@ -0,0 +1,269 @@
+// routes/friends.js
+// Friends are mutual: a request is stored on both users (incoming/outgoing) until it is
+// accepted, which adds each user to the other's friendIds. Blocking someone also ends any
+// friendship or pending request with them. Friends see each other's presence (see
+// services/presence.js) and can invite each other to lobbies (POST /api/lobbies/:lobbyId/invites).
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { io } = require('../server');
+const { auth, userRoom } = require('../middleware/auth');
+const { Lobby } = require('../routes/lobby');
+
+const { MAX_FRIENDS, MAX_PENDING_FRIEND_REQUESTS } = User;
+
+const emitToUser = (userId, event, payload) => io.to(userRoom(userId)).emit(event, payload);
+
+// A friend as listed to the other user
+const friendEntry = async (req, user) => ({
+    userId: user.id,
+    username: user.username,
+    equippedTitle: user.equippedTitle,
+    elo: user.elo,
+    status: await req.app.get('presence').getPresence(user.id)
+});
+
+// Add each user to the other's friends and drop any requests between them
+const makeFriends = (a, b) => Promise.all([[a, b], [b, a]].map(([user, other]) => User.updateOne({ _id: user.id }, {
+    $addToSet: { friendIds: other.id },
+    $pull: { incomingFriendRequests: { userId: other.id }, outgoingFriendRequests: { userId: other.id } }
+})));
+
+// Undo friendship, requests and lobby invites between two users, both ways
+const separate = (userId, otherId) => Promise.all([
+    ...[[userId, otherId], [otherId, userId]].map(([id, other]) => User.updateOne({ _id: id }, {
+        $pull: { friendIds: other, incomingFriendRequests: { userId: other }, outgoingFriendRequests: { userId: other } }
+    })),
+    Lobby.updateMany(
+        { 'invites.userId': { $in: [userId, otherId] } },
+        { $pull: { invites: { $or: [{ userId, invitedBy: otherId }, { userId: otherId, invitedBy: userId }] } } }
+    )
+]);
+
+const friendshipsFull = (a, b) => a.friendIds.length >= MAX_FRIENDS || b.friendIds.length >= MAX_FRIENDS;
+
+// Tell both users about a new friendship
+const announceFriendship = async (req, a, b) => {
+    emitToUser(a.id, 'friendAdded', await friendEntry(req, b));
+    emitToUser(b.id, 'friendAdded', await friendEntry(req, a));
+};
+
+// @route   GET /api/friends
+// @desc    Friends with their presence, pending requests both ways and blocked users
+// @access  Private
+router.get('/', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) return res.status(404).json({ msg: 'User not found' });
+
+        const [friends, blocked] = await Promise.all([
+            User.find({ _id: { $in: user.friendIds } }).select('username equippedTitle elo').sort({ username: 1 }),
+            User.find({ _id: { $in: user.blockedIds } }).select('username').sort({ username: 1 })
+        ]);
+        res.json({
+            friends: await Promise.all(friends.map(friend => friendEntry(req, friend))),
+            incomingRequests: user.incomingFriendRequests,
+            outgoingRequests: user.outgoingFriendRequests,
+            blocked: blocked.map(b => ({ userId: b.id, username: b.username }))
+        });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/friends/requests
+// @desc    Send a friend request: { username }. If they already asked you, you become friends.
+// @access  Private
+router.post('/requests', auth, async (req, res) => {
+    const username = typeof req.body.username === 'string' ? req.body.username.trim() : '';
+    if (!username) return res.status(400).json({ msg: 'username is required' });
+
+    try {
+        const [user, target] = await Promise.all([User.findById(req.user.id), User.findOne({ username })]);
+        if (!user) return res.status(404).json({ msg: 'User not found' });
+        if (!target) return res.status(404).json({ msg: 'No player with that username' });
+        if (target.id === user.id) return res.status(400).json({ msg: 'You cannot add yourself' });
+        if (user.blockedIds.includes(target.id)) return res.status(400).json({ msg: 'Unblock this player first' });
+        if (target.blockedIds.includes(user.id)) {
+            return res.status(403).json({ msg: 'You cannot send this player a friend request' });
+        }
+        if (user.friendIds.includes(target.id)) return res.status(400).json({ msg: 'You are already friends' });
+        if (user.outgoingFriendRequests.some(r => r.userId === target.id)) {
+            return res.status(400).json({ msg: 'Friend request already sent' });
+        }
+        if (friendshipsFull(user, target)) {
+            return res.status(400).json({ msg: `Friend lists are limited to ${MAX_FRIENDS} players` });
+        }
+
+        if (user.incomingFriendRequests.some(r => r.userId === target.id)) {
+            await makeFriends(user, target);
+            await announceFriendship(req, user, target);
+            return res.json({ msg: `You and ${target.username} are now friends`, friend: await friendEntry(req, target) });
+        }
+
+        if (user.outgoingFriendRequests.length >= MAX_PENDING_FRIEND_REQUESTS) {
+            return res.status(400).json({ msg: 'You have too many pending friend requests' });
+        }
+        if (target.incomingFriendRequests.length >= MAX_PENDING_FRIEND_REQUESTS) {
+            return res.status(400).json({ msg: `${target.username} has too many pending friend requests` });
+        }
+
+        const sentAt = new Date();
+        const received = await User.updateOne(
+            { _id: target.id, 'incomingFriendRequests.userId': { $ne: user.id } }, // Two clicks, one request
+            { $push: { incomingFriendRequests: { userId: user.id, username: user.username, sentAt } } }
+        );
+        if (received.modifiedCount === 0) return res.status(400).json({ msg: 'Friend request already sent' });
+        await User.updateOne(
+            { _id: user.id },
+            { $push: { outgoingFriendRequests: { userId: target.id, username: target.username, sentAt } } }
+        );
+
+        emitToUser(target.id, 'friendRequestReceived', { userId: user.id, username: user.username, sentAt });
+        res.status(201).json({ msg: `Friend request sent to ${target.username}` });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/friends/requests/:userId/accept
+// @desc    Accept a friend request
+// @access  Private
+router.post('/requests/:userId/accept', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) return res.status(404).json({ msg: 'User not found' });
+        if (!user.incomingFriendRequests.some(r => r.userId === req.params.userId)) {
+            return res.status(404).json({ msg: 'No friend request from this player' });
+        }
+
+        const sender = await User.findById(req.params.userId);
+        if (!sender) {
+            await User.updateOne({ _id: user.id }, { $pull: { incomingFriendRequests: { userId: req.params.userId } } });
+            return res.status(404).json({ msg: 'That player no longer exists' });
+        }
+        if (friendshipsFull(user, sender)) {
+            return res.status(400).json({ msg: `Friend lists are limited to ${MAX_FRIENDS} players` });
+        }
+
+        await makeFriends(user, sender);
+        await announceFriendship(req, user, sender);
+        res.json({ msg: `You and ${sender.username} are now friends`, friend: await friendEntry(req, sender) });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/friends/requests/:userId/decline
+// @desc    Decline a friend request. The sender is not notified.
+// @access  Private
+router.post('/requests/:userId/decline', auth, async (req, res) => {
+    const senderId = req.params.userId;
+    try {
+        const declined = await User.updateOne(
+            { _id: req.user.id, 'incomingFriendRequests.userId': senderId },
+            { $pull: { incomingFriendRequests: { userId: senderId } } }
+        );
+        if (declined.modifiedCount === 0) return res.status(404).json({ msg: 'No friend request from this player' });
+
+        if (mongoose.isValidObjectId(senderId)) {
+            await User.updateOne({ _id: senderId }, { $pull: { outgoingFriendRequests: { userId: req.user.id } } });
+        }
+        res.json({ msg: 'Friend request declined' });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   DELETE /api/friends/requests/:userId
+// @desc    Withdraw a friend request you sent
+// @access  Private
+router.delete('/requests/:userId', auth, async (req, res) => {
+    const targetId = req.params.userId;
+    try {
+        const withdrawn = await User.updateOne(
+            { _id: req.user.id, 'outgoingFriendRequests.userId': targetId },
+            { $pull: { outgoingFriendRequests: { userId: targetId } } }
+        );
+        if (withdrawn.modifiedCount === 0) return res.status(404).json({ msg: 'No friend request to this player' });
+
+        if (mongoose.isValidObjectId(targetId)) {
+            await User.updateOne({ _id: targetId }, { $pull: { incomingFriendRequests: { userId: req.user.id } } });
+        }
+        emitToUser(targetId, 'friendRequestWithdrawn', { userId: req.user.id });
+        res.json({ msg: 'Friend request withdrawn' });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/friends/blocks
+// @desc    Block a player: { userId }. Ends any friendship, requests and invites between you.
+// @access  Private
+router.post('/blocks', auth, async (req, res) => {
+    const { userId: targetId } = req.body;
+    const userId = req.user.id;
+    if (!mongoose.isValidObjectId(targetId) || targetId === userId) {
+        return res.status(400).json({ msg: 'Choose another player to block' });
+    }
+
+    try {
+        const [user, target] = await Promise.all([User.findById(userId), User.findById(targetId).select('username')]);
+        if (!user) return res.status(404).json({ msg: 'User not found' });
+        if (!target) return res.status(404).json({ msg: 'No player with that ID' });
+        if (user.blockedIds.includes(targetId)) return res.status(400).json({ msg: 'You already blocked this player' });
+
+        await separate(userId, targetId);
+        await User.updateOne({ _id: userId }, { $addToSet: { blockedIds: targetId } });
+
+        // They only see the friendship end, not the block
+        if (user.friendIds.includes(targetId)) emitToUser(targetId, 'friendRemoved', { userId });
+        res.json({ msg: `${target.username} blocked`, blocked: { userId: targetId, username: target.username } });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   DELETE /api/friends/blocks/:userId
+// @desc    Unblock a player
+// @access  Private
+router.delete('/blocks/:userId', auth, async (req, res) => {
+    try {
+        const unblocked = await User.updateOne({ _id: req.user.id }, { $pull: { blockedIds: req.params.userId } });
+        if (unblocked.modifiedCount === 0) return res.status(404).json({ msg: 'This player is not blocked' });
+        res.json({ msg: 'Player unblocked' });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   DELETE /api/friends/:userId
+// @desc    Remove a friend (for both of you)
+// @access  Private
+router.delete('/:userId', auth, async (req, res) => {
+    const friendId = req.params.userId;
+    const userId = req.user.id;
+
+    try {
+        const user = await User.findById(userId).select('friendIds');
+        if (!user) return res.status(404).json({ msg: 'User not found' });
+        if (!user.friendIds.includes(friendId)) return res.status(404).json({ msg: 'This player is not on your friends list' });
+
+        await separate(userId, friendId);
+        emitToUser(friendId, 'friendRemoved', { userId });
+        res.json({ msg: 'Friend removed' });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,214 @@
+// services/judge.js
+// Local C++ judge for solo challenges: compiles the submission and runs it against
+// stdin/stdout test cases with CPU-time, memory and output limits.
+//
+// Both the compiler and the submitted program run inside bubblewrap (bwrap) with every
+// namespace unshared, so there is no network. The program is linked statically and only
+// its own binary is mounted, so it cannot read or write any file. The compiler gets a
+// read-only /usr and the scratch directory, so `#include "/etc/passwd"` cannot leak host files.
+// JUDGE_SANDBOX=none skips bwrap and is only meant for local development.
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const CXX = process.env.JUDGE_CXX || 'g++';
+const CXX_FLAGS = ['-std=c++17', '-O2', '-pipe', '-static'];
+const SANDBOX = process.env.JUDGE_SANDBOX || 'bwrap';
+
+const COMPILE_TIMEOUT_MS = 15 * 1000;
+const COMPILE_CPU_TIME_LIMIT_S = 10;
+const COMPILE_MEMORY_LIMIT_BYTES = 1024 * 1024 * 1024; // Template bombs fail here instead of exhausting the host
+const CPU_TIME_LIMIT_S = 2; // Per test case
+const WALL_TIME_LIMIT_MS = 5 * 1000; // Catches sleeping/blocked programs that use no CPU
+const MEMORY_LIMIT_BYTES = 256 * 1024 * 1024;
+// RLIMIT_NPROC counts every process and thread of the user the server runs as, not only the
+// sandbox's, so run the server under a dedicated user. Stops fork bombs either way.
+const PROCESS_LIMIT = 64;
+const OUTPUT_LIMIT_BYTES = 64 * 1024;
+const DIAGNOSTICS_LIMIT_BYTES = 8 * 1024;
+const MAX_CONCURRENT_JUDGES = 2; // Compiles are expensive; queue the rest
+
+const VERDICTS = { AC: 'AC', WA: 'WA', TLE: 'TLE', RE: 'RE', CE: 'CE' };
+
+// Read-only system paths the compiler needs inside the sandbox
+const COMPILER_BINDS = ['/usr', '/lib', '/lib64', '/lib32', '/bin', '/etc/alternatives'];
+
+let activeJudges = 0;
+const waitingJudges = [];
+
+const acquireSlot = () => new Promise(resolve => {
+    if (activeJudges < MAX_CONCURRENT_JUDGES) {
+        activeJudges++;
+        resolve();
+    } else {
+        waitingJudges.push(resolve);
+    }
+});
+
+const releaseSlot = () => {
+    const next = waitingJudges.shift();
+    if (next) next();
+    else activeJudges--;
+};
+
+const bwrapBase = () => [
+    '--unshare-all', // Includes the network namespace
+    '--die-with-parent',
+    '--new-session',
+    '--clearenv'
+];
+
+// The compiler runs under prlimit too: the wall timeout alone doesn't stop it from
+// exhausting memory first.
+const compilerCommand = (workDir) => {
+    const limits = [`--cpu=${COMPILE_CPU_TIME_LIMIT_S}`, `--as=${COMPILE_MEMORY_LIMIT_BYTES}`, `--nproc=${PROCESS_LIMIT}`, '--core=0'];
+    const args = [...CXX_FLAGS, '-o', 'prog', 'main.cpp'];
+    if (SANDBOX === 'none') {
+        return { command: 'prlimit', args: [...limits, '--', CXX, ...args], cwd: workDir };
+    }
+    const binds = COMPILER_BINDS.flatMap(p => ['--ro-bind-try', p, p]);
+    return {
+        command: 'prlimit',
+        args: [
+            ...limits, '--', 'bwrap',
+            ...bwrapBase(), ...binds,
+            '--bind', workDir, '/box', '--tmpfs', '/tmp', '--dev', '/dev', '--proc', '/proc',
+            '--setenv', 'PATH', '/usr/bin:/bin', '--chdir', '/box',
+            CXX, ...args
+        ],
+        cwd: workDir
+    };
+};
+
+// prlimit applies the limits; they are inherited through bwrap by the program itself.
+// The hard CPU limit is one second above the soft one so the program gets SIGXCPU (TLE)
+// rather than a bare SIGKILL.
+const programCommand = (workDir) => {
+    const limits = [`--cpu=${CPU_TIME_LIMIT_S}:${CPU_TIME_LIMIT_S + 1}`, `--as=${MEMORY_LIMIT_BYTES}`, `--nproc=${PROCESS_LIMIT}`, '--fsize=0', '--core=0'];
+    const binary = path.join(workDir, 'prog');
+    if (SANDBOX === 'none') {
+        return { command: 'prlimit', args: [...limits, '--', binary], cwd: workDir };
+    }
+    return {
+        command: 'prlimit',
+        args: [...limits, '--', 'bwrap', ...bwrapBase(), '--ro-bind', binary, '/prog', '--chdir', '/', '/prog'],
+        cwd: workDir
+    };
+};
+
+// Spawn a process with a wall-clock timeout and capped stdout/stderr.
+// Resolves with { code, signal, stdout, stderr, timedOut, outputExceeded, timeMs }.
+const runProcess = ({ command, args, cwd }, { input = '', timeoutMs, outputLimit }) => new Promise((resolve) => {
+    const startedAt = Date.now();
+    const child = spawn(command, args, { cwd, stdio: ['pipe', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    let outputExceeded = false;
+
+    const timer = setTimeout(() => {
+        timedOut = true;
+        child.kill('SIGKILL');
+    }, timeoutMs);
+
+    child.stdout.on('data', chunk => {
+        stdout += chunk;
+        if (stdout.length > outputLimit) {
+            outputExceeded = true;
+            stdout = stdout.slice(0, outputLimit);
+            child.kill('SIGKILL');
+        }
+    });
+    child.stderr.on('data', chunk => {
+        if (stderr.length < DIAGNOSTICS_LIMIT_BYTES) stderr += chunk;
+    });
+    child.stdin.on('error', () => {}); // Program exited without reading all of its input
+    child.stdin.end(input);
+
+    child.on('error', (err) => {
+        clearTimeout(timer);
+        resolve({ code: null, signal: null, stdout, stderr: err.message, timedOut, outputExceeded, timeMs: Date.now() - startedAt, spawnError: true });
+    });
+    child.on('close', (code, signal) => {
+        clearTimeout(timer);
+        resolve({ code, signal, stdout, stderr: stderr.slice(0, DIAGNOSTICS_LIMIT_BYTES), timedOut, outputExceeded, timeMs: Date.now() - startedAt });
+    });
+});
+
+// Trailing whitespace on each line and trailing blank lines are not significant
+const normalizeOutput = (text) => text.replace(/\r\n/g, '\n').split('\n').map(line => line.trimEnd()).join('\n').trimEnd();
+
+const verdictFor = (run, expectedOutput) => {
+    if (run.timedOut || run.signal === 'SIGXCPU') {
+        return { verdict: VERDICTS.TLE, message: 'Time limit exceeded' };
+    }
+    if (run.outputExceeded) {
+        return { verdict: VERDICTS.RE, message: 'Output limit exceeded' };
+    }
+    if (run.signal || run.code !== 0) {
+        return { verdict: VERDICTS.RE, message: run.signal ? `Killed by ${run.signal}` : `Exited with code ${run.code}` };
+    }
+    if (normalizeOutput(run.stdout) !== normalizeOutput(expectedOutput)) {
+        return { verdict: VERDICTS.WA, message: 'Wrong answer' };
+    }
+    return { verdict: VERDICTS.AC };
+};
+
+// Judge `code` against `testCases` ([{ input, expectedOutput, hidden }]).
+// Returns { verdict, passed, total, diagnostics, tests } where verdict is AC only if every
+// test passed, CE on compile errors, otherwise the verdict of the first failing test.
+// Hidden tests never expose their input or expected output.
+const judgeCpp = async (code, testCases) => {
+    // Created before taking a slot, so a failure here can't leak the slot
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'judge-'));
+    await acquireSlot();
+    try {
+        await fs.writeFile(path.join(workDir, 'main.cpp'), code);
+
+        const compile = await runProcess(compilerCommand(workDir), { timeoutMs: COMPILE_TIMEOUT_MS, outputLimit: DIAGNOSTICS_LIMIT_BYTES });
+        if (compile.spawnError) {
+            throw new Error(`Judge toolchain unavailable: ${compile.stderr}`);
+        }
+        if (compile.timedOut || compile.code !== 0) {
+            return {
+                verdict: VERDICTS.CE,
+                passed: 0,
+                total: testCases.length,
+                diagnostics: compile.timedOut || compile.signal === 'SIGXCPU' ? 'Compilation timed out' : compile.stderr,
+                tests: []
+            };
+        }
+
+        const tests = [];
+        for (const [index, testCase] of testCases.entries()) {
+            const run = await runProcess(programCommand(workDir), { input: testCase.input, timeoutMs: WALL_TIME_LIMIT_MS, outputLimit: OUTPUT_LIMIT_BYTES });
+            if (run.spawnError) {
+                throw new Error(`Judge sandbox unavailable: ${run.stderr}`);
+            }
+            const { verdict, message } = verdictFor(run, testCase.expectedOutput);
+            const result = { index: index + 1, verdict, timeMs: run.timeMs, hidden: !!testCase.hidden };
+            if (message) result.message = message;
+            if (!testCase.hidden) {
+                result.input = testCase.input;
+                result.expectedOutput = testCase.expectedOutput;
+                result.actualOutput = run.stdout;
+            }
+            tests.push(result);
+        }
+
+        const firstFailure = tests.find(t => t.verdict !== VERDICTS.AC);
+        return {
+            verdict: firstFailure ? firstFailure.verdict : VERDICTS.AC,
+            passed: tests.filter(t => t.verdict === VERDICTS.AC).length,
+            total: tests.length,
+            diagnostics: compile.stderr, // Warnings, if any
+            tests
+        };
+    } finally {
+        releaseSlot();
+        fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+};
+
+module.exports = { judgeCpp, VERDICTS };
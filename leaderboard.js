@@ -0,0 +1,194 @@
+// services/leaderboard.js
+// Leaderboards over the stats on User. Every board sorts by its value (highest first), then by
+// user ID, so ties have a stable order and a page can continue from the last (value, id) seen.
+// Ranks are competition ranks: tied players share a rank and the next rank is skipped.
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+// Percentage of `correct` out of `total`, rounded so cursors compare exactly
+const percentage = (correct, total) => ({
+    $cond: [{ $gt: [total, 0] }, { $round: [{ $multiply: [{ $divide: [correct, total] }, 100] }, 2] }, 0]
+});
+
+// Boards on a stored field (`field`) sort on it directly and can use its index; the others
+// compute `expression` per user. `sampleField` is what the minGames threshold is checked against.
+const METRICS = {
+    elo: { label: 'Elo', field: 'elo', sampleField: 'rankedGamesPlayed', defaultMinGames: 0 },
+    casualPoints: { label: 'Casual Points', field: 'casualPoints', sampleField: null, defaultMinGames: 0 },
+    rankedAccuracy: {
+        label: 'Ranked Accuracy',
+        expression: percentage('$rankedCorrectAnswers', '$rankedTotalAnswers'),
+        sampleField: 'rankedGamesPlayed',
+        defaultMinGames: 10
+    },
+    casualAccuracy: {
+        label: 'Casual Accuracy',
+        expression: percentage('$casualCorrectAnswers', '$casualTotalAnswers'),
+        sampleField: 'casualTotalAnswers', // Casual games are not counted per user, so this is answers
+        defaultMinGames: 50
+    },
+    soloStage: { label: 'Solo Stage', field: 'soloStage', sampleField: null, defaultMinGames: 0 },
+    soloAccuracy: {
+        label: 'Solo Accuracy', // Average of the best accuracy on each cleared stage
+        expression: {
+            $round: [{ $ifNull: [{ $avg: { $map: { input: { $objectToArray: { $ifNull: ['$soloStageAccuracy', {}] } }, in: '$$this.v' } } }, 0] }, 2]
+        },
+        sampleField: 'soloStage', // Stages cleared
+        defaultMinGames: 1
+    }
+};
+
+// Bad query parameters; routes answer 400 with the message
+class LeaderboardQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LeaderboardQueryError';
+    }
+}
+
+const getMetric = (name) => {
+    const metric = Object.prototype.hasOwnProperty.call(METRICS, name) ? METRICS[name] : null;
+    if (!metric) throw new LeaderboardQueryError(`metric must be one of: ${Object.keys(METRICS).join(', ')}`);
+    return metric;
+};
+
+const encodeCursor = (entry) => Buffer.from(JSON.stringify({ v: entry.value, id: entry.userId })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        if (typeof v === 'number' && mongoose.isValidObjectId(id)) return { value: v, id: new mongoose.Types.ObjectId(id) };
+    } catch (err) {
+        // Fall through to the error below
+    }
+    throw new LeaderboardQueryError('Invalid cursor');
+};
+
+const sortKey = (metric) => metric.field || 'value';
+
+// Pipeline over the users on a board: adds `value`, then keeps those matching `condition`
+// (written against the sort key) and the minGames threshold
+const boardPipeline = (metric, minGames, condition = {}) => {
+    const threshold = metric.sampleField && minGames > 0 ? { [metric.sampleField]: { $gte: minGames } } : {};
+    if (metric.field) {
+        return [{ $match: { ...threshold, ...condition } }, { $addFields: { value: `$${metric.field}` } }];
+    }
+    return [{ $match: threshold }, { $addFields: { value: metric.expression } }, { $match: condition }];
+};
+
+// Users strictly behind (value, id) in board order, or strictly ahead of it with `ahead`
+const positionCondition = (metric, { value, id }, ahead = false) => {
+    const key = sortKey(metric);
+    return {
+        $or: [
+            { [key]: ahead ? { $gt: value } : { $lt: value } },
+            { [key]: value, _id: ahead ? { $lt: id } : { $gt: id } }
+        ]
+    };
+};
+
+const countUsers = async (metric, minGames, condition) => {
+    const [result] = await User.aggregate([...boardPipeline(metric, minGames, condition), { $count: 'count' }]);
+    return result ? result.count : 0;
+};
+
+const toEntry = (user) => ({ userId: String(user._id), username: user.username, title: user.equippedTitle, value: user.value });
+
+const ENTRY_PROJECTION = { $project: { username: 1, equippedTitle: 1, value: 1 } };
+
+// Attach ranks to consecutive entries in board order. Only the first entry's position is
+// counted; the rest follow from it.
+const rankEntries = async (metric, minGames, entries) => {
+    if (entries.length === 0) return entries;
+    const first = { value: entries[0].value, id: new mongoose.Types.ObjectId(entries[0].userId) };
+    const [strictlyAbove, tiedAhead] = await Promise.all([
+        countUsers(metric, minGames, { [sortKey(metric)]: { $gt: first.value } }),
+        countUsers(metric, minGames, { [sortKey(metric)]: first.value, _id: { $lt: first.id } })
+    ]);
+    let position = strictlyAbove + tiedAhead; // Zero-based position of entries[0]
+    let rank = strictlyAbove + 1;
+    return entries.map((entry, index) => {
+        if (index > 0 && entry.value !== entries[index - 1].value) rank = position + 1;
+        position++;
+        return { rank, ...entry };
+    });
+};
+
+const resolveMinGames = (metric, minGames) => {
+    if (minGames === undefined || minGames === '') return metric.defaultMinGames;
+    const parsed = Number(minGames);
+    if (!Number.isInteger(parsed) || parsed < 0) throw new LeaderboardQueryError('minGames must be a non-negative integer');
+    return parsed;
+};
+
+// One page of a board, starting after `cursor` (from a previous page's nextCursor)
+const getLeaderboardPage = async ({ metric: metricName, limit, cursor, minGames }) => {
+    const metric = getMetric(metricName);
+    const threshold = resolveMinGames(metric, minGames);
+    const condition = cursor ? positionCondition(metric, decodeCursor(cursor)) : {};
+
+    const users = await User.aggregate([
+        ...boardPipeline(metric, threshold, condition),
+        { $sort: { [sortKey(metric)]: -1, _id: 1 } },
+        { $limit: limit + 1 }, // One extra to know whether there is a next page
+        ENTRY_PROJECTION
+    ]);
+    const entries = await rankEntries(metric, threshold, users.slice(0, limit).map(toEntry));
+    return {
+        metric: metricName,
+        label: metric.label,
+        minGames: threshold,
+        entries,
+        nextCursor: users.length > limit ? encodeCursor(entries[entries.length - 1]) : null
+    };
+};
+
+// A user's own entry with up to `range` players on either side. `me` is null if the user
+// is not on the board (e.g. below the minGames threshold).
+const getRankAround = async ({ metric: metricName, userId, range, minGames }) => {
+    const metric = getMetric(metricName);
+    const threshold = resolveMinGames(metric, minGames);
+    const empty = { metric: metricName, label: metric.label, minGames: threshold, me: null, above: [], below: [] };
+    if (!mongoose.isValidObjectId(userId)) return empty;
+
+    const id = new mongoose.Types.ObjectId(userId);
+    const [user] = await User.aggregate([...boardPipeline(metric, threshold, { _id: id }), ENTRY_PROJECTION]);
+    if (!user) return empty;
+    const position = { value: user.value, id };
+
+    const [above, below] = await Promise.all([
+        User.aggregate([
+            ...boardPipeline(metric, threshold, positionCondition(metric, position, true)),
+            { $sort: { [sortKey(metric)]: 1, _id: -1 } }, // Nearest first
+            { $limit: range },
+            ENTRY_PROJECTION
+        ]),
+        User.aggregate([
+            ...boardPipeline(metric, threshold, positionCondition(metric, position)),
+            { $sort: { [sortKey(metric)]: -1, _id: 1 } },
+            { $limit: range },
+            ENTRY_PROJECTION
+        ])
+    ]);
+    const window = await rankEntries(metric, threshold, [...above.reverse(), user, ...below].map(toEntry));
+    return {
+        ...empty,
+        me: window[above.length],
+        above: window.slice(0, above.length),
+        below: window.slice(above.length + 1)
+    };
+};
+
+const listMetrics = () => Object.entries(METRICS).map(([name, { label, sampleField, defaultMinGames }]) => ({
+    metric: name,
+    label,
+    minGamesField: sampleField,
+    defaultMinGames
+}));
+
+module.exports = {
+    LeaderboardQueryError,
+    listMetrics,
+    getLeaderboardPage,
+    getRankAround
+};
@@ -0,0 +1,55 @@
+// routes/leaderboards.js
+// One leaderboard API for every stat on User, see services/leaderboard.js for the metrics.
+// Pages are cached briefly so busy boards do not sort the users collection on every load.
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { LeaderboardQueryError, listMetrics, getLeaderboardPage, getRankAround } = require('../services/leaderboard');
+const { createTtlCache } = require('../utils/ttlCache');
+
+const MAX_PAGE_SIZE = 100;
+const MAX_RANGE = 25;
+const PAGE_CACHE_TTL_MS = 30 * 1000;
+
+const pageCache = createTtlCache({ ttlMs: PAGE_CACHE_TTL_MS, maxEntries: 500 });
+
+const handleError = (err, res) => {
+    if (err instanceof LeaderboardQueryError) return res.status(400).json({ msg: err.message });
+    console.error(err.message);
+    res.status(500).send('Server error');
+};
+
+// @route   GET /api/leaderboards
+// @desc    The available metrics with their labels and default minGames thresholds
+// @access  Public
+router.get('/', (req, res) => {
+    res.json(listMetrics());
+});
+
+// @route   GET /api/leaderboards/:metric/me
+// @desc    The current user's rank with up to `range` players above and below (?range=, ?minGames=)
+// @access  Private
+router.get('/:metric/me', auth, async (req, res) => {
+    const range = Math.min(MAX_RANGE, Math.max(0, parseInt(req.query.range) || 5));
+    try {
+        res.json(await getRankAround({ metric: req.params.metric, userId: req.user.id, range, minGames: req.query.minGames }));
+    } catch (err) {
+        handleError(err, res);
+    }
+});
+
+// @route   GET /api/leaderboards/:metric
+// @desc    One page of a board, highest first (?limit=, ?minGames=, ?cursor= from the previous page's nextCursor)
+// @access  Public
+router.get('/:metric', async (req, res) => {
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || 20));
+    const query = { metric: req.params.metric, limit, cursor: req.query.cursor || null, minGames: req.query.minGames };
+    try {
+        const key = [query.metric, query.limit, query.cursor, query.minGames].join('|');
+        res.json(await pageCache.wrap(key, () => getLeaderboardPage(query)));
+    } catch (err) {
+        handleError(err, res);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+// routes/matches.js
+// Match history and replays. Matches are written by finishGame in routes/lobby.js when a
+// game ends; replay events are logged by the lobby routes while it runs.
+const express = require('express');
+const router = express.Router();
+const Match = require('../models/Match');
+const GameEvent = require('../models/GameEvent');
+const auth = require('../middleware/auth');
+
+const MAX_PAGE_SIZE = 50;
+
+// @route   GET /api/matches
+// @desc    The current user's matches, newest first (filters: type, ranked=true|false)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || 20));
+    try {
+        const filter = { 'participants.id': req.user.id };
+        if (req.query.type) filter.type = String(req.query.type);
+        if (req.query.ranked !== undefined) filter.isRanked = req.query.ranked === 'true';
+
+        const [matches, total] = await Promise.all([
+            Match.find(filter).select('-questions').sort({ endedAt: -1 }).skip((page - 1) * limit).limit(limit),
+            Match.countDocuments(filter)
+        ]);
+        // Pull the caller's own line out so clients don't have to search for it
+        const items = matches.map(match => ({
+            ...match.toObject(),
+            me: match.participants.find(p => p.id === req.user.id)
+        }));
+        res.json({ matches: items, total, page, limit });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   GET /api/matches/:gameId
+// @desc    A single match with every participant and the questions asked
+// @access  Private
+router.get('/:gameId', auth, async (req, res) => {
+    try {
+        const match = await Match.findOne({ gameId: req.params.gameId });
+        if (!match) return res.status(404).json({ msg: 'Match not found' });
+        res.json(match);
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   GET /api/matches/:gameId/replay
+// @desc    Every event of a finished game in order, also grouped by turn (turn 0 is the setup)
+//          so clients can step through it. Running games have no match yet and return 404.
+// @access  Private
+router.get('/:gameId/replay', auth, async (req, res) => {
+    try {
+        const match = await Match.findOne({ gameId: req.params.gameId }).select('-questions');
+        if (!match) return res.status(404).json({ msg: 'Match not found' });
+
+        const events = await GameEvent.find({ gameId: match.gameId }).select('-_id -gameId -lobbyId').sort({ seq: 1 });
+        const turns = [];
+        events.forEach(event => {
+            const last = turns[turns.length - 1];
+            if (last && last.turnNumber === event.turnNumber) last.events.push(event);
+            else turns.push({ turnNumber: event.turnNumber, events: [event] });
+        });
+        res.json({ match, events, turns });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,236 @@
+// services/matchmaking.js
+// Socket-driven ranked matchmaking. Players queue for a ranked mode and are grouped
+// by closeness of Elo; the allowed rating gap widens the longer they wait. Once every
+// matched player accepts, a ranked lobby is created and the game starts immediately.
+const crypto = require('crypto');
+const User = require('../models/User');
+const { userRoom } = require('../middleware/auth');
+const { Lobby, createRankedMatchLobby, startLobbyGame, lobbyView } = require('../routes/lobby');
+
+// Players per match for each ranked mode
+const QUEUE_MODES = {
+    'ranked-1v1-fill-in-blanks': 2,
+    'ranked-free-for-all-qna': 4
+};
+
+const BASE_ELO_WINDOW = 100; // Max rating gap for a player who just joined
+const ELO_WINDOW_GROWTH = 50; // Added for every WINDOW_GROWTH_INTERVAL_MS spent waiting
+const WINDOW_GROWTH_INTERVAL_MS = 10 * 1000;
+const MAX_ELO_WINDOW = 800;
+const MATCH_ACCEPT_TIMEOUT_MS = 15 * 1000;
+const MATCHMAKING_TICK_MS = 2000;
+
+module.exports = (io) => {
+    // mode -> [{ userId, username, elo, joinedAt }]
+    const queues = new Map(Object.keys(QUEUE_MODES).map(mode => [mode, []]));
+    // matchId -> { matchId, mode, entries, accepted: Set, timer }
+    const pendingMatches = new Map();
+
+    const eloWindow = (entry, now) => {
+        const steps = Math.floor((now - entry.joinedAt) / WINDOW_GROWTH_INTERVAL_MS);
+        return Math.min(MAX_ELO_WINDOW, BASE_ELO_WINDOW + steps * ELO_WINDOW_GROWTH);
+    };
+
+    const findQueueEntry = (userId) => {
+        for (const [mode, queue] of queues) {
+            const entry = queue.find(e => e.userId === userId);
+            if (entry) return { mode, entry };
+        }
+        return null;
+    };
+
+    const findPendingMatch = (userId) => {
+        for (const match of pendingMatches.values()) {
+            if (match.entries.some(e => e.userId === userId)) return match;
+        }
+        return null;
+    };
+
+    const removeFromQueue = (userId) => {
+        for (const [mode, queue] of queues) {
+            queues.set(mode, queue.filter(e => e.userId !== userId));
+        }
+    };
+
+    const emitToEntry = (entry, event, payload) => {
+        io.to(userRoom(entry.userId)).emit(event, payload);
+    };
+
+    // Group queued players whose ratings all fall within each member's current window.
+    // Players are scanned in rating order, so each group is a run of neighbours.
+    const findGroups = (mode, now) => {
+        const size = QUEUE_MODES[mode];
+        const sorted = [...queues.get(mode)].sort((a, b) => a.elo - b.elo);
+        const groups = [];
+        let i = 0;
+        while (i + size <= sorted.length) {
+            const candidate = sorted.slice(i, i + size);
+            const spread = candidate[candidate.length - 1].elo - candidate[0].elo;
+            const allowed = Math.min(...candidate.map(e => eloWindow(e, now)));
+            if (spread <= allowed) {
+                groups.push(candidate);
+                i += size;
+            } else {
+                i++;
+            }
+        }
+        return groups;
+    };
+
+    const proposeMatch = (mode, entries) => {
+        const matchId = crypto.randomBytes(8).toString('hex');
+        const acceptDeadline = Date.now() + MATCH_ACCEPT_TIMEOUT_MS;
+        const match = {
+            matchId,
+            mode,
+            entries,
+            accepted: new Set(),
+            timer: setTimeout(() => cancelMatch(matchId, 'timeout'), MATCH_ACCEPT_TIMEOUT_MS)
+        };
+        pendingMatches.set(matchId, match);
+        entries.forEach(entry => removeFromQueue(entry.userId));
+        entries.forEach(entry => emitToEntry(entry, 'matchFound', {
+            matchId,
+            mode,
+            players: entries.map(e => ({ username: e.username, elo: e.elo })),
+            acceptDeadline
+        }));
+    };
+
+    const tick = () => {
+        const now = Date.now();
+        for (const mode of queues.keys()) {
+            findGroups(mode, now).forEach(group => proposeMatch(mode, group));
+        }
+    };
+
+    // Declining (or letting the accept window run out) counts as a warning
+    const penalizeDecline = async (entry) => {
+        try {
+            const user = await User.findById(entry.userId);
+            if (!user) return;
+            const penalized = user.addWarning();
+            await user.save();
+            if (penalized) {
+                emitToEntry(entry, 'penaltyApplied', { duration: User.PENALTY_DURATION_MS });
+            } else {
+                emitToEntry(entry, 'inactivityWarning', { warningCount: user.warningCount, maxWarnings: User.MAX_WARNINGS });
+            }
+        } catch (err) {
+            console.error('Error penalizing declined match:', err.message);
+        }
+    };
+
+    // Cancel a pending match. Players who declined or did not accept in time are warned;
+    // those who accepted go back to the front of the queue with their original wait time.
+    const cancelMatch = async (matchId, reason, declinedUserId = null) => {
+        const match = pendingMatches.get(matchId);
+        if (!match) return;
+        clearTimeout(match.timer);
+        pendingMatches.delete(matchId);
+
+        for (const entry of match.entries) {
+            const declined = declinedUserId ? entry.userId === declinedUserId : !match.accepted.has(entry.userId);
+            if (declined) {
+                emitToEntry(entry, 'matchCancelled', { matchId, reason, requeued: false });
+                await penalizeDecline(entry);
+            } else {
+                queues.get(match.mode).push(entry);
+                emitToEntry(entry, 'matchCancelled', { matchId, reason, requeued: true });
+            }
+        }
+    };
+
+    const launchMatch = async (match) => {
+        clearTimeout(match.timer);
+        pendingMatches.delete(match.matchId);
+        try {
+            const users = await User.find({ _id: { $in: match.entries.map(e => e.userId) } });
+            if (users.length !== match.entries.length) {
+                throw new Error('A matched user no longer exists');
+            }
+            const lobby = await createRankedMatchLobby(match.mode, users);
+            match.entries.forEach(entry => {
+                io.in(userRoom(entry.userId)).socketsJoin(lobby.lobbyId);
+                emitToEntry(entry, 'matchReady', { matchId: match.matchId, lobby: lobbyView(lobby, entry.userId) });
+            });
+            const { error } = await startLobbyGame(lobby);
+            if (error) {
+                await Lobby.deleteOne({ _id: lobby._id });
+                throw new Error(error);
+            }
+        } catch (err) {
+            console.error('Error creating matched lobby:', err.message);
+            match.entries.forEach(entry => {
+                queues.get(match.mode).push(entry);
+                emitToEntry(entry, 'matchCancelled', { matchId: match.matchId, reason: 'error', requeued: true });
+            });
+        }
+    };
+
+    setInterval(tick, MATCHMAKING_TICK_MS);
+
+    const registerSocket = (socket) => {
+        // Join the ranked queue: { mode }. The socket is already authenticated (socketAuth).
+        socket.on('joinMatchmaking', async ({ mode } = {}) => {
+            try {
+                if (!QUEUE_MODES[mode]) {
+                    return socket.emit('matchmakingError', { msg: 'Unknown ranked mode' });
+                }
+                const { userId } = socket;
+
+                const user = await User.findById(userId);
+                if (!user) {
+                    return socket.emit('matchmakingError', { msg: 'User not found' });
+                }
+                if (user.isPenalized()) {
+                    return socket.emit('matchmakingError', { msg: 'You are penalized and cannot queue for ranked.' });
+                }
+                if (await Lobby.exists({ 'players.id': userId, gameStarted: true })) {
+                    return socket.emit('matchmakingError', { msg: 'Finish your current game before queueing.' });
+                }
+
+                // Checked after the last await, so two quick joins can't both get past it
+                if (findQueueEntry(userId) || findPendingMatch(userId)) {
+                    return socket.emit('matchmakingError', { msg: 'You are already in the ranked queue.' });
+                }
+                queues.get(mode).push({ userId, username: user.username, elo: user.elo, joinedAt: Date.now() });
+                socket.emit('matchmakingQueued', { mode });
+            } catch (err) {
+                console.error('Error joining matchmaking:', err.message);
+                socket.emit('matchmakingError', { msg: 'Server error' });
+            }
+        });
+
+        socket.on('leaveMatchmaking', () => {
+            removeFromQueue(socket.userId);
+            socket.emit('matchmakingLeft');
+        });
+
+        socket.on('acceptMatch', ({ matchId } = {}) => {
+            const match = pendingMatches.get(matchId);
+            if (!match || !match.entries.some(e => e.userId === socket.userId)) return;
+            match.accepted.add(socket.userId);
+            match.entries.forEach(entry => emitToEntry(entry, 'matchAcceptUpdate', { matchId, accepted: match.accepted.size, total: match.entries.length }));
+            if (match.accepted.size === match.entries.length) {
+                launchMatch(match);
+            }
+        });
+
+        socket.on('declineMatch', ({ matchId } = {}) => {
+            const match = pendingMatches.get(matchId);
+            if (!match || !match.entries.some(e => e.userId === socket.userId)) return;
+            cancelMatch(matchId, 'declined', socket.userId);
+        });
+
+        // Losing the last connection leaves the queue; a pending match runs into its accept
+        // timeout. The socket has already left its rooms here, so the user room only holds
+        // their other tabs.
+        socket.on('disconnect', () => {
+            if (io.sockets.adapter.rooms.has(userRoom(socket.userId))) return;
+            removeFromQueue(socket.userId);
+        });
+    };
+
+    return { registerSocket };
+};
@@ -0,0 +1,108 @@
+// services/presence.js
+// Tracks which users have a live socket. A user counts as gone once their last socket
+// disconnects; their running game then starts the reconnect grace period (see
+// setPlayerConnected in routes/lobby.js). Every new connection is sent a resume snapshot,
+// so a refresh, a dropped connection or a fresh login drops the user back into their game.
+//
+// The same socket state gives each user a presence status for their friends: 'offline',
+// 'online', 'in-lobby' (a socket is in a lobby room, see socket.lobbyId in server.js) or
+// 'in-game'. Changes are pushed to friends as 'friendPresence'.
+const User = require('../models/User');
+const { userRoom } = require('../middleware/auth');
+const { Lobby, setPlayerConnected, getResumeSnapshot } = require('../routes/lobby');
+
+module.exports = (io) => {
+    // userId -> Set of socket IDs
+    const socketsByUser = new Map();
+
+    // userId -> status last sent to friends; offline users are left out
+    const lastStatus = new Map();
+
+    const isOnline = (userId) => socketsByUser.has(userId);
+
+    const getPresence = async (userId) => {
+        const sockets = [...(socketsByUser.get(userId) || [])]
+            .map(socketId => io.sockets.sockets.get(socketId))
+            .filter(Boolean);
+        if (sockets.length === 0) return 'offline';
+
+        // Server-side kicks and closed lobbies take sockets out of the room, so check it is still joined
+        const lobbyIds = sockets.filter(s => s.lobbyId && s.rooms.has(s.lobbyId)).map(s => s.lobbyId);
+        if (lobbyIds.length === 0) return 'online';
+        // Clients also report isInGame while waiting in a lobby, so ask whether the game is running
+        if (sockets.some(s => s.isInGame) && await Lobby.exists({ lobbyId: { $in: lobbyIds }, gameStarted: true })) {
+            return 'in-game';
+        }
+        return 'in-lobby';
+    };
+
+    // Recompute a user's status and tell their friends if it changed
+    const refreshPresence = async (userId) => {
+        try {
+            const status = await getPresence(userId);
+            if ((lastStatus.get(userId) || 'offline') === status) return;
+            if (status === 'offline') lastStatus.delete(userId);
+            else lastStatus.set(userId, status);
+
+            const user = await User.findById(userId).select('friendIds');
+            if (!user) return;
+            user.friendIds.forEach(friendId => io.to(userRoom(friendId)).emit('friendPresence', { userId, status }));
+        } catch (err) {
+            console.error('Error updating presence:', err.message);
+        }
+    };
+
+    const sendResumeSnapshot = async (socket) => {
+        const snapshot = await getResumeSnapshot(socket.userId);
+        if (snapshot) {
+            socket.join(snapshot.lobby.lobbyId);
+            socket.lobbyId = snapshot.lobby.lobbyId;
+            socket.isInGame = true;
+        }
+        socket.emit('sessionResumed', { snapshot });
+        await refreshPresence(socket.userId);
+    };
+
+    // Sockets are authenticated by socketAuth before they get here, so socket.userId is trusted
+    const registerSocket = async (socket) => {
+        const { userId } = socket;
+        if (!socketsByUser.has(userId)) socketsByUser.set(userId, new Set());
+        socketsByUser.get(userId).add(socket.id);
+
+        // Ask for the snapshot again, e.g. after a client-side state reset
+        socket.on('resumeSession', async () => {
+            try {
+                await sendResumeSnapshot(socket);
+            } catch (err) {
+                console.error('Error resuming session:', err.message);
+                socket.emit('sessionError', { msg: 'Server error' });
+            }
+        });
+
+        socket.on('disconnect', async () => {
+            const sockets = socketsByUser.get(userId);
+            if (!sockets || !sockets.delete(socket.id)) return;
+            if (sockets.size > 0) {
+                await refreshPresence(userId); // The closed tab may have been the one in a game
+                return;
+            }
+            socketsByUser.delete(userId);
+            await refreshPresence(userId);
+            try {
+                await setPlayerConnected(userId, false);
+            } catch (err) {
+                console.error('Error handling disconnect:', err.message);
+            }
+        });
+
+        try {
+            await setPlayerConnected(userId, true);
+            await sendResumeSnapshot(socket);
+        } catch (err) {
+            console.error('Error resuming session:', err.message);
+            socket.emit('sessionError', { msg: 'Server error' });
+        }
+    };
+
+    return { registerSocket, isOnline, getPresence, refreshPresence };
+};
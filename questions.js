@@ -0,0 +1,306 @@
+// routes/questions.js
+const express = require('express');
+const router = express.Router();
+const Question = require('../models/Question');
+const AuditLog = require('../models/AuditLog');
+const { QUESTION_TYPES, DIFFICULTIES } = require('../models/Question');
+const { auth, requireAdmin } = require('../middleware/auth');
+const { toCsv, parseCsv } = require('../utils/csv');
+const { MATCH_MODES, assertValidPattern } = require('../utils/answerMatcher');
+
+const CSV_COLUMNS = ['type', 'language', 'category', 'difficulty', 'q', 'answers', 'matchMode', 'displayAnswer', 'hint', 'active'];
+const MAX_PAGE_SIZE = 100;
+
+// Regex answers must be valid patterns. Returns an error message or null.
+const answerPatternError = (matchMode, answers) => {
+    if (matchMode !== 'regex') return null;
+    try {
+        answers.forEach(assertValidPattern);
+    } catch (e) {
+        return `Invalid answer pattern: ${e.message}`;
+    }
+    return null;
+};
+
+// Validate and normalise question input from the API or an import row.
+// Returns { question } or { error }. `partial` allows updates that omit fields; those
+// still need answerPatternError checked against the stored question.
+const normalizeQuestionInput = (input, { partial = false } = {}) => {
+    const question = {};
+
+    if (input.type !== undefined || !partial) {
+        if (!QUESTION_TYPES.includes(input.type)) {
+            return { error: `type must be one of: ${QUESTION_TYPES.join(', ')}` };
+        }
+        question.type = input.type;
+    }
+    if (input.q !== undefined || !partial) {
+        if (typeof input.q !== 'string' || !input.q.trim()) {
+            return { error: 'q (the question text) is required' };
+        }
+        question.q = input.q.trim();
+    }
+    if (input.answers !== undefined || !partial) {
+        const answers = Array.isArray(input.answers) ? input.answers : [input.answers];
+        question.answers = answers.filter(a => typeof a === 'string' && a.trim() !== '').map(a => a.trim());
+        if (question.answers.length === 0) {
+            return { error: 'At least one accepted answer is required' };
+        }
+    }
+    if (input.difficulty !== undefined && input.difficulty !== '') {
+        if (!DIFFICULTIES.includes(input.difficulty)) {
+            return { error: `difficulty must be one of: ${DIFFICULTIES.join(', ')}` };
+        }
+        question.difficulty = input.difficulty;
+    }
+    if (input.matchMode !== undefined && input.matchMode !== '') {
+        if (!MATCH_MODES.includes(input.matchMode)) {
+            return { error: `matchMode must be one of: ${MATCH_MODES.join(', ')}` };
+        }
+        question.matchMode = input.matchMode;
+    }
+    if (question.answers) {
+        const patternError = answerPatternError(question.matchMode, question.answers);
+        if (patternError) return { error: patternError };
+    }
+    ['language', 'category', 'hint', 'displayAnswer'].forEach(key => {
+        if (typeof input[key] === 'string' && (input[key].trim() !== '' || key === 'hint' || key === 'displayAnswer')) {
+            question[key] = input[key].trim();
+        }
+    });
+    if (input.active !== undefined && input.active !== '') {
+        question.active = input.active === true || input.active === 'true';
+    }
+    return { question };
+};
+
+// CSV cells are strings; answers is either a JSON array or a single answer
+const fromCsvRow = (row) => {
+    let answers = row.answers;
+    if (typeof answers === 'string' && answers.trim().startsWith('[')) {
+        try {
+            answers = JSON.parse(answers);
+        } catch (e) {
+            // Not JSON after all, keep it as a single answer
+        }
+    }
+    return { ...row, answers };
+};
+
+const toCsvRow = (question) => ({
+    ...question,
+    answers: JSON.stringify(question.answers)
+});
+
+const buildFilter = (query) => {
+    const filter = {};
+    if (query.type) filter.type = query.type;
+    if (query.language) filter.language = String(query.language).toLowerCase();
+    if (query.category) filter.category = String(query.category).toLowerCase();
+    if (query.difficulty) filter.difficulty = query.difficulty;
+    if (query.active !== undefined) filter.active = query.active === 'true';
+    return filter;
+};
+
+// @route   GET /api/questions/categories
+// @desc    Categories and difficulties that have active questions (for lobby settings)
+// @access  Private
+router.get('/categories', auth, async (req, res) => {
+    try {
+        const filter = { active: true };
+        if (req.query.type) filter.type = req.query.type;
+        const categories = await Question.distinct('category', filter);
+        res.json({ categories: categories.sort(), difficulties: DIFFICULTIES });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   GET /api/questions/export
+// @desc    Export questions as JSON (default) or CSV (?format=csv); accepts the list filters
+// @access  Admin
+router.get('/export', auth, requireAdmin, async (req, res) => {
+    try {
+        const questions = await Question.find(buildFilter(req.query))
+            .select('-_id type language category difficulty q answers matchMode displayAnswer hint active')
+            .sort({ type: 1, category: 1, createdAt: 1 })
+            .lean();
+
+        if (req.query.format === 'csv') {
+            res.set('Content-Type', 'text/csv');
+            res.set('Content-Disposition', 'attachment; filename="questions.csv"');
+            return res.send(toCsv(questions.map(toCsvRow), CSV_COLUMNS));
+        }
+        res.json(questions);
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/questions/import
+// @desc    Bulk import questions: { format: 'json', data: [...] } or { format: 'csv', data: '<csv text>' }.
+//          Questions are matched on type + text, so re-importing an export updates instead of duplicating.
+// @access  Admin
+router.post('/import', auth, requireAdmin, async (req, res) => {
+    const { format = 'json', data } = req.body;
+
+    let rows;
+    try {
+        if (format === 'csv') {
+            if (typeof data !== 'string') return res.status(400).json({ msg: 'CSV data must be a string' });
+            rows = parseCsv(data).map(fromCsvRow);
+        } else if (format === 'json') {
+            if (!Array.isArray(data)) return res.status(400).json({ msg: 'JSON data must be an array of questions' });
+            rows = data;
+        } else {
+            return res.status(400).json({ msg: 'format must be json or csv' });
+        }
+    } catch (e) {
+        return res.status(400).json({ msg: `Could not parse import: ${e.message}` });
+    }
+
+    const errors = [];
+    const operations = [];
+    rows.forEach((row, index) => {
+        const { question, error } = normalizeQuestionInput(row || {});
+        if (error) {
+            errors.push({ row: index + 1, msg: error });
+            return;
+        }
+        operations.push({
+            updateOne: {
+                filter: { type: question.type, q: question.q },
+                update: { $set: question, $setOnInsert: { createdBy: req.user.username } },
+                upsert: true
+            }
+        });
+    });
+
+    try {
+        const result = operations.length > 0 ? await Question.bulkWrite(operations, { ordered: false }) : null;
+        const summary = {
+            inserted: result ? result.upsertedCount : 0,
+            updated: result ? result.modifiedCount : 0,
+            errors
+        };
+        await AuditLog.record(req, {
+            action: 'question.import',
+            targetType: 'question',
+            details: { format, rows: rows.length, inserted: summary.inserted, updated: summary.updated, rejected: errors.length }
+        });
+        res.json(summary);
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   GET /api/questions
+// @desc    List questions (filters: type, language, category, difficulty, active; paging: page, limit)
+// @access  Admin
+router.get('/', auth, requireAdmin, async (req, res) => {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || 20));
+
+    try {
+        const filter = buildFilter(req.query);
+        const [questions, total] = await Promise.all([
+            Question.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+            Question.countDocuments(filter)
+        ]);
+        res.json({ questions, total, page, limit });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   GET /api/questions/:id
+// @desc    Get a single question
+// @access  Admin
+router.get('/:id', auth, requireAdmin, async (req, res) => {
+    try {
+        const question = await Question.findById(req.params.id);
+        if (!question) return res.status(404).json({ msg: 'Question not found' });
+        res.json(question);
+    } catch (err) {
+        if (err.name === 'CastError') return res.status(404).json({ msg: 'Question not found' });
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/questions
+// @desc    Create a question
+// @access  Admin
+router.post('/', auth, requireAdmin, async (req, res) => {
+    const { question, error } = normalizeQuestionInput(req.body);
+    if (error) return res.status(400).json({ msg: error });
+
+    try {
+        const created = await Question.create({ ...question, createdBy: req.user.username });
+        await AuditLog.record(req, { action: 'question.create', targetType: 'question', targetId: created.id, details: { q: created.q } });
+        res.status(201).json(created);
+    } catch (err) {
+        if (err.code === 11000) return res.status(400).json({ msg: 'A question with this text already exists for this type' });
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   PUT /api/questions/:id
+// @desc    Update a question (only the fields given)
+// @access  Admin
+router.put('/:id', auth, requireAdmin, async (req, res) => {
+    const { question, error } = normalizeQuestionInput(req.body, { partial: true });
+    if (error) return res.status(400).json({ msg: error });
+
+    try {
+        const filter = { _id: req.params.id };
+        if (question.matchMode !== undefined || question.answers !== undefined) {
+            // Check the answers against the match mode they will have once merged
+            const stored = await Question.findById(req.params.id).select('matchMode answers').lean();
+            if (!stored) return res.status(404).json({ msg: 'Question not found' });
+            const patternError = answerPatternError(question.matchMode || stored.matchMode, question.answers || stored.answers);
+            if (patternError) return res.status(400).json({ msg: patternError });
+            // Only if neither changed since; null also matches questions saved before matchMode existed
+            filter.matchMode = stored.matchMode || null;
+            filter.answers = stored.answers;
+        }
+
+        const updated = await Question.findOneAndUpdate(filter, { $set: question }, { new: true, runValidators: true });
+        if (!updated) {
+            if ('answers' in filter && await Question.exists({ _id: req.params.id })) {
+                return res.status(409).json({ msg: 'The question changed meanwhile. Try again.' });
+            }
+            return res.status(404).json({ msg: 'Question not found' });
+        }
+        await AuditLog.record(req, { action: 'question.update', targetType: 'question', targetId: updated.id, details: { changes: question } });
+        res.json(updated);
+    } catch (err) {
+        if (err.name === 'CastError') return res.status(404).json({ msg: 'Question not found' });
+        if (err.code === 11000) return res.status(400).json({ msg: 'A question with this text already exists for this type' });
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   DELETE /api/questions/:id
+// @desc    Delete a question. Games in progress keep their own copy.
+// @access  Admin
+router.delete('/:id', auth, requireAdmin, async (req, res) => {
+    try {
+        const deleted = await Question.findByIdAndDelete(req.params.id);
+        if (!deleted) return res.status(404).json({ msg: 'Question not found' });
+        await AuditLog.record(req, { action: 'question.delete', targetType: 'question', targetId: deleted.id, details: { q: deleted.q } });
+        res.json({ msg: 'Question deleted' });
+    } catch (err) {
+        if (err.name === 'CastError') return res.status(404).json({ msg: 'Question not found' });
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+module.exports = router;
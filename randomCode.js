@@ -0,0 +1,14 @@
+// utils/randomCode.js
+// Human-friendly random codes (redeem codes, private lobby join codes)
+const crypto = require('crypto');
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I lookalikes
+
+// `length` random characters after an optional prefix
+const randomCode = (length, prefix = '') => {
+    let code = prefix;
+    for (let i = 0; i < length; i++) code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    return code;
+};
+
+module.exports = { CODE_ALPHABET, randomCode };
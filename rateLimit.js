@@ -0,0 +1,41 @@
+// utils/rateLimit.js
+// In-memory sliding-window rate limiter, keyed by e.g. user ID. State is per process,
+// which is enough for a single server instance.
+
+// Allows up to `limit` hits per `windowMs` for each key
+const createRateLimiter = ({ limit, windowMs }) => {
+    const hits = new Map(); // key -> timestamps of recent hits
+
+    const recentHits = (key, now) => {
+        const recent = (hits.get(key) || []).filter(t => now - t < windowMs);
+        if (recent.length > 0) hits.set(key, recent);
+        else hits.delete(key);
+        return recent;
+    };
+
+    // Whether the key has used up its window
+    const isLimited = (key) => recentHits(key, Date.now()).length >= limit;
+
+    // Milliseconds until the key may act again (0 if it is not limited)
+    const retryAfterMs = (key) => {
+        const now = Date.now();
+        const recent = recentHits(key, now);
+        return recent.length >= limit ? windowMs - (now - recent[0]) : 0;
+    };
+
+    // Count a hit. Returns false (without counting it) if the key is already limited.
+    const hit = (key) => {
+        const now = Date.now();
+        const recent = recentHits(key, now);
+        if (recent.length >= limit) return false;
+        recent.push(now);
+        hits.set(key, recent);
+        return true;
+    };
+
+    const reset = (key) => hits.delete(key);
+
+    return { isLimited, retryAfterMs, hit, reset };
+};
+
+module.exports = { createRateLimiter };
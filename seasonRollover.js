@@ -0,0 +1,141 @@
+// services/seasonRollover.js
+// Starts, ends and schedules ranked seasons. When the active season's endsAt passes, every
+// player who played ranked in it is archived as a SeasonResult with their final rating and
+// tier, paid the rewards of that tier, and every rating gets the season's soft reset.
+//
+// Each player is archived, paid and reset in one save, and players already reset for the
+// season are skipped, so a rollover cut short by a restart picks up where it stopped.
+const User = require('../models/User');
+const Season = require('../models/Season');
+const SeasonResult = require('../models/SeasonResult');
+const TokenTransaction = require('../models/TokenTransaction');
+const { DEFAULT_SEASON_LENGTH_DAYS, DEFAULT_SOFT_RESET, MIN_GAMES_FOR_REWARDS, tierForRating, softResetRating } = require('../config/seasonTiers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_TIMEOUT_MS = 2 ** 31 - 1; // setTimeout fires immediately for longer delays
+
+let rolloverTimer = null;
+
+// The season in progress (or being rolled over), or null before the first one is started
+const getCurrentSeason = () => Season.findOne({ status: { $in: ['active', 'ending'] } });
+
+const startSeason = async (number, { name, endsAt, softReset } = {}) => {
+    const startsAt = new Date();
+    return Season.create({
+        number,
+        name: name || `Season ${number}`,
+        startsAt,
+        endsAt: endsAt || new Date(startsAt.getTime() + DEFAULT_SEASON_LENGTH_DAYS * DAY_MS),
+        softReset: softReset || DEFAULT_SOFT_RESET
+    });
+};
+
+// Archive one player's season, pay their tier rewards and apply the soft reset
+const archivePlayer = async (season, user) => {
+    const tier = tierForRating(user.elo);
+    const qualified = user.seasonRankedGamesPlayed >= MIN_GAMES_FOR_REWARDS;
+    const rewards = qualified ? tier.rewards : { tokens: 0, items: [] };
+    const ratingAfterReset = Math.max(0, softResetRating(user.elo, season.softReset));
+
+    // Upsert, so a retry after a crash does not trip over the unique index
+    await SeasonResult.updateOne(
+        { seasonNumber: season.number, userId: user.id },
+        {
+            $setOnInsert: {
+                username: user.username,
+                finalRating: user.elo,
+                tier: tier.id,
+                rankedGamesPlayed: user.seasonRankedGamesPlayed,
+                rewards,
+                ratingAfterReset
+            }
+        },
+        { upsert: true }
+    );
+
+    rewards.items.forEach(itemId => {
+        if (!user.inventory.includes(itemId)) user.inventory.push(itemId);
+    });
+    user.elo = ratingAfterReset;
+    user.seasonRankedGamesPlayed = 0;
+    user.lastResetSeason = season.number;
+    if (rewards.tokens > 0) {
+        await TokenTransaction.saveWithTokens(user, rewards.tokens, 'season-reward', { season: season.number });
+    } else {
+        await user.save();
+    }
+};
+
+// Finish a season that is marked 'ending' and start the next one
+const completeRollover = async (season) => {
+    const notYetReset = { lastResetSeason: { $ne: season.number } };
+
+    // Players one at a time, so large seasons do not have to fit in memory
+    const players = User.find({ ...notYetReset, seasonRankedGamesPlayed: { $gt: 0 } }).cursor();
+    for (let user = await players.next(); user; user = await players.next()) {
+        await archivePlayer(season, user);
+    }
+
+    // Everyone else only gets the soft reset
+    const { baseline, factor } = season.softReset;
+    await User.updateMany(notYetReset, [{
+        $set: {
+            elo: { $max: [0, { $round: [{ $add: [baseline, { $multiply: [{ $subtract: ['$elo', baseline] }, factor] }] }, 0] }] },
+            lastResetSeason: season.number
+        }
+    }]);
+
+    season.status = 'ended';
+    season.endedAt = new Date();
+    season.participants = await SeasonResult.countDocuments({ seasonNumber: season.number });
+    await season.save();
+
+    const next = await startSeason(season.number + 1);
+    console.log(`Season ${season.number} ended with ${season.participants} players; season ${next.number} started`);
+    return next;
+};
+
+// End the active season now. Returns the new season, or null if another rollover claimed it first.
+const endSeason = async (seasonId) => {
+    const season = await Season.findOneAndUpdate({ _id: seasonId, status: 'active' }, { status: 'ending' }, { new: true });
+    if (!season) return null;
+    const next = await completeRollover(season);
+    scheduleRollover();
+    return next;
+};
+
+// Make sure a season is running and arm a timer for its end. Called at startup and whenever
+// the current season's endsAt changes.
+const scheduleRollover = async () => {
+    if (rolloverTimer) clearTimeout(rolloverTimer);
+    rolloverTimer = null;
+    try {
+        let season = await getCurrentSeason();
+        if (!season) {
+            const last = await Season.findOne().sort({ number: -1 });
+            season = await startSeason(last ? last.number + 1 : 1);
+            console.log(`Started ${season.name}`);
+        }
+        if (season.status === 'ending') {
+            season = await completeRollover(season); // Interrupted by a restart
+        }
+
+        const delay = season.endsAt.getTime() - Date.now();
+        if (delay <= 0) {
+            await endSeason(season._id);
+            return;
+        }
+        // Long delays are re-armed in steps
+        rolloverTimer = setTimeout(() => {
+            scheduleRollover();
+        }, Math.min(delay, MAX_TIMEOUT_MS));
+    } catch (err) {
+        console.error('Error scheduling season rollover:', err.message);
+    }
+};
+
+module.exports = {
+    getCurrentSeason,
+    endSeason,
+    scheduleRollover
+};
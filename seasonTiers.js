@@ -0,0 +1,41 @@
+// config/seasonTiers.js
+// Ranked season settings. A season's tier comes from a player's Elo at the end of it; rewards
+// are paid by final tier to players who played at least MIN_GAMES_FOR_REWARDS ranked matches.
+// Titles in `items` must be listed in exclusiveTitles in config/shopCatalog.js.
+const { DEFAULT_RATING } = require('../utils/elo');
+
+const DEFAULT_SEASON_LENGTH_DAYS = 90;
+const MIN_GAMES_FOR_REWARDS = 5;
+
+// At rollover every rating keeps `factor` of its distance from `baseline`,
+// so 1600 with { baseline: 1000, factor: 0.5 } becomes 1300
+const DEFAULT_SOFT_RESET = { baseline: DEFAULT_RATING, factor: 0.5 };
+
+// In increasing order; a player is in the highest tier whose minRating they reach
+const TIERS = [
+    { id: 'bronze', name: 'Bronze', minRating: 0, rewards: { tokens: 50, items: [] } },
+    { id: 'silver', name: 'Silver', minRating: 1000, rewards: { tokens: 150, items: [] } },
+    { id: 'gold', name: 'Gold', minRating: 1150, rewards: { tokens: 300, items: [] } },
+    { id: 'platinum', name: 'Platinum', minRating: 1300, rewards: { tokens: 500, items: ['title_season_platinum'] } },
+    { id: 'diamond', name: 'Diamond', minRating: 1450, rewards: { tokens: 800, items: ['title_season_diamond'] } },
+    { id: 'master', name: 'Master', minRating: 1600, rewards: { tokens: 1200, items: ['title_season_master'] } }
+];
+
+const tierForRating = (rating) => {
+    let tier = TIERS[0];
+    TIERS.forEach(t => {
+        if (rating >= t.minRating) tier = t;
+    });
+    return tier;
+};
+
+const softResetRating = (rating, { baseline, factor }) => Math.round(baseline + (rating - baseline) * factor);
+
+module.exports = {
+    DEFAULT_SEASON_LENGTH_DAYS,
+    MIN_GAMES_FOR_REWARDS,
+    DEFAULT_SOFT_RESET,
+    TIERS,
+    tierForRating,
+    softResetRating
+};
@@ -0,0 +1,120 @@
+// routes/seasons.js
+// Ranked seasons: the current season and its tiers, season leaderboards and players' past
+// seasons. Seasons are started and rolled over by services/seasonRollover.js.
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Season = require('../models/Season');
+const SeasonResult = require('../models/SeasonResult');
+const auth = require('../middleware/auth');
+const { getCurrentSeason } = require('../services/seasonRollover');
+const { TIERS, MIN_GAMES_FOR_REWARDS, tierForRating } = require('../config/seasonTiers');
+
+const MAX_PAGE_SIZE = 100;
+
+const paging = (query) => {
+    const page = Math.max(1, parseInt(query.page) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit) || 50));
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+// A season by number, or the current one for 'current'
+const findSeason = (number) => (number === 'current'
+    ? getCurrentSeason()
+    : Season.findOne({ number: parseInt(number) || 0 }));
+
+// @route   GET /api/seasons
+// @desc    All seasons, newest first
+// @access  Public
+router.get('/', async (req, res) => {
+    try {
+        const seasons = await Season.find().sort({ number: -1 });
+        res.json(seasons);
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   GET /api/seasons/current
+// @desc    The season in progress with the tier bands and their rewards
+// @access  Public
+router.get('/current', async (req, res) => {
+    try {
+        const season = await getCurrentSeason();
+        if (!season) return res.status(404).json({ msg: 'No season is running' });
+        res.json({ season, tiers: TIERS, minGamesForRewards: MIN_GAMES_FOR_REWARDS });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// A player's finished seasons, newest first, each with their rank in that season
+const sendSeasonHistory = async (userId, res) => {
+    try {
+        const results = await SeasonResult.find({ userId }).sort({ seasonNumber: -1 });
+        const history = await Promise.all(results.map(async (result) => {
+            const ahead = await SeasonResult.countDocuments({ seasonNumber: result.seasonNumber, finalRating: { $gt: result.finalRating } });
+            return { ...result.toObject(), rank: ahead + 1 };
+        }));
+        res.json(history);
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+};
+
+// @route   GET /api/seasons/history
+// @desc    The current user's finished seasons
+// @access  Private
+router.get('/history', auth, (req, res) => sendSeasonHistory(req.user.id, res));
+
+// @route   GET /api/seasons/history/:userId
+// @desc    Any player's finished seasons
+// @access  Public
+router.get('/history/:userId', (req, res) => sendSeasonHistory(req.params.userId, res));
+
+// @route   GET /api/seasons/:number/leaderboard
+// @desc    Standings of a season ('current' for the one in progress): live ratings of everyone
+//          who has played ranked this season, or the archived final ratings of a finished one
+// @access  Public
+router.get('/:number/leaderboard', async (req, res) => {
+    const { page, limit, skip } = paging(req.query);
+    try {
+        const season = await findSeason(req.params.number);
+        if (!season) return res.status(404).json({ msg: 'Season not found' });
+
+        let entries;
+        let total;
+        if (season.status === 'ended') {
+            const filter = { seasonNumber: season.number };
+            const [results, count] = await Promise.all([
+                SeasonResult.find(filter).sort({ finalRating: -1, _id: 1 }).skip(skip).limit(limit),
+                SeasonResult.countDocuments(filter)
+            ]);
+            entries = results.map(r => ({ userId: r.userId, username: r.username, rating: r.finalRating, tier: r.tier, rankedGamesPlayed: r.rankedGamesPlayed }));
+            total = count;
+        } else {
+            const filter = { seasonRankedGamesPlayed: { $gt: 0 } };
+            const [users, count] = await Promise.all([
+                User.find(filter).select('username elo seasonRankedGamesPlayed').sort({ elo: -1, _id: 1 }).skip(skip).limit(limit),
+                User.countDocuments(filter)
+            ]);
+            entries = users.map(u => ({ userId: u.id, username: u.username, rating: u.elo, tier: tierForRating(u.elo).id, rankedGamesPlayed: u.seasonRankedGamesPlayed }));
+            total = count;
+        }
+        res.json({
+            season: { number: season.number, name: season.name, status: season.status },
+            leaderboard: entries.map((entry, index) => ({ rank: skip + index + 1, ...entry })),
+            total,
+            page,
+            limit
+        });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+module.exports = router;
@@ -5,11 +5,7 @@ const mongoose = require('mongoose');
 const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors'); // Import cors
-
-const authRoutes = require('./routes/auth');
-const lobbyRoutes = require('./routes/lobby'); // This now contains the Lobby model definition
-const User = require('./models/User'); // For penalty tracking and user data
-const { Lobby } = require('./routes/lobby'); // Explicitly import Lobby model from combined file
+const { socketAuth, userRoom } = require('./middleware/auth');
 
 const app = express();
 const server = http.createServer(app);
@@ -17,7 +13,7 @@ const server = http.createServer(app);
 // Configure CORS for Socket.IO and Express
 const corsOptions = {
     origin: '*', // Allow all origins for development. In production, restrict to your GitHub Pages URL.
-    methods: ['GET', 'POST'],
+    methods: ['GET', 'POST', 'PUT', 'DELETE'],
     allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token'], // Allow x-auth-token header
     credentials: true // Allow cookies and auth headers
 };
@@ -30,86 +26,146 @@ const io = new Server(server, {
 });
 
 // Export io for use in other modules (e.g., lobby routes)
+// Must happen before the routes are required, since they read it at load time
 module.exports.io = io;
 
+const authRoutes = require('./routes/auth');
+const lobbyRoutes = require('./routes/lobby'); // This now contains the Lobby model definition
+const questionRoutes = require('./routes/questions');
+const adminRoutes = require('./routes/admin');
+const matchRoutes = require('./routes/matches');
+const seasonRoutes = require('./routes/seasons');
+const leaderboardRoutes = require('./routes/leaderboards');
+const tournamentRoutes = require('./routes/tournaments');
+const friendRoutes = require('./routes/friends');
+const User = require('./models/User'); // For penalty tracking and user data
+const Question = require('./models/Question');
+const TokenTransaction = require('./models/TokenTransaction');
+const { Lobby, resumeTurnTimers, spectatorRoom, forfeitPlayer } = require('./routes/lobby'); // Explicitly import Lobby model from combined file
+const matchmaking = require('./services/matchmaking')(io); // Ranked queue, driven over Socket.IO
+const presence = require('./services/presence')(io); // Who is online, reconnects to running games
+const { scheduleRollover } = require('./services/seasonRollover');
+const tournamentRunner = require('./services/tournamentRunner'); // Brackets, match lobbies and prizes
+
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI)
-    .then(() => console.log('MongoDB Connected...'))
+    .then(async () => {
+        console.log('MongoDB Connected...');
+        // Every token change is written in a transaction, so fail now rather than on the first payout
+        if (!(await TokenTransaction.transactionsSupported())) {
+            console.error('MongoDB must run as a replica set or sharded cluster: token changes need transactions.');
+            process.exit(1);
+        }
+        return Question.seedDefaults(); // Built-in questions for an empty bank
+    })
+    .then(async (seeded) => {
+        if (seeded > 0) console.log(`Seeded ${seeded} default questions`);
+        const migrated = await User.migrateSoloStageAccuracy(); // Stage numbers to stage ids
+        if (migrated > 0) console.log(`Moved solo stage accuracy to stage ids for ${migrated} users`);
+        return resumeTurnTimers(); // Games that were running before a restart
+    })
+    .then(() => tournamentRunner.resumeTournaments()) // After the games, so their results can come in
+    .then(() => scheduleRollover()) // Start the first season, or finish one that ended while down
     .catch(err => console.error(err));
 
 // Middleware
 app.use(express.json()); // Body parser for JSON
+app.set('presence', presence); // routes/friends.js reads friends' status from it
 
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/lobbies', lobbyRoutes); // Lobby routes will use Socket.IO instance
+app.use('/api/questions', questionRoutes); // Question bank authoring (admin)
+app.use('/api/admin', adminRoutes); // Moderation API (staff roles)
+app.use('/api/matches', matchRoutes); // Match history
+app.use('/api/seasons', seasonRoutes); // Ranked seasons and season leaderboards
+app.use('/api/leaderboards', leaderboardRoutes); // All-time leaderboards for every stat
+app.use('/api/tournaments', tournamentRoutes); // Bracket tournaments
+app.use('/api/friends', friendRoutes); // Friend requests, blocks and friends' presence
 
-// Global leaderboard route (can be public)
-app.get('/api/global-leaderboard', async (req, res) => {
-    try {
-        const leaderboard = await User.find({})
-            .select('username elo rankedCorrectAnswers rankedTotalAnswers')
-            .sort({ elo: -1 })
-            .limit(10); // Limit to top 10 for example
-        res.json(leaderboard);
-    } catch (err) {
-        console.error(err.message);
-        res.status(500).send('Server error');
-    }
-});
+// Sockets authenticate with the same JWT as the REST API during the handshake
+io.use(socketAuth);
 
 // Socket.IO connection handling
 io.on('connection', (socket) => {
-    console.log('A user connected:', socket.id);
+    console.log(`A user connected: ${socket.id} (${socket.username})`);
+    const { userId } = socket; // Bound by socketAuth, never taken from the client
+
+    // Join a lobby room; only for lobbies the user is seated in (or was eliminated from)
+    socket.on('joinLobbyRoom', async (lobbyId) => {
+        try {
+            const isMember = await Lobby.exists({
+                lobbyId,
+                $or: [{ 'players.id': userId }, { 'eliminatedPlayers.id': userId }]
+            });
+            if (!isMember) {
+                socket.emit('roomJoinDenied', { lobbyId, msg: 'You are not in this lobby' });
+                return;
+            }
+            socket.join(lobbyId);
+            socket.lobbyId = lobbyId; // For presence, see services/presence.js
+            console.log(`${socket.id} joined lobby room: ${lobbyId}`);
+            await presence.refreshPresence(userId);
+        } catch (err) {
+            console.error('Error joining lobby room:', err.message);
+        }
+    });
 
-    // Join a lobby room
-    socket.on('joinLobbyRoom', (lobbyId) => {
-        socket.join(lobbyId);
-        console.log(`${socket.id} joined lobby room: ${lobbyId}`);
+    // (Re)join the spectator room of a lobby the user is watching (see POST /api/lobbies/:lobbyId/spectate)
+    socket.on('spectateLobbyRoom', async (lobbyId) => {
+        try {
+            if (await Lobby.exists({ lobbyId, 'spectators.id': userId })) {
+                socket.join(spectatorRoom(lobbyId));
+            } else {
+                socket.emit('roomJoinDenied', { lobbyId, msg: 'You are not spectating this lobby' });
+            }
+        } catch (err) {
+            console.error('Error joining spectator room:', err.message);
+        }
     });
 
     // Leave a lobby room
     socket.on('leaveLobbyRoom', (lobbyId) => {
         socket.leave(lobbyId);
+        if (socket.lobbyId === lobbyId) socket.lobbyId = null;
         console.log(`${socket.id} left lobby room: ${lobbyId}`);
+        presence.refreshPresence(userId);
     });
 
+    // Ranked matchmaking queue events
+    matchmaking.registerSocket(socket);
+
+    // Session resumption and disconnect grace periods
+    presence.registerSocket(socket);
+
+    // Live bracket updates
+    tournamentRunner.registerSocket(socket);
+
     // Inactivity tracking (server-side)
     let inactivityTimer;
     const INACTIVITY_WARNING_THRESHOLD_MS = 30000; // 30 seconds of inactivity
-    const MAX_WARNINGS = 3;
-    const PENALTY_DURATION_MS = 60 * 1000; // 1 minute penalty
+    const { MAX_WARNINGS, PENALTY_DURATION_MS } = User;
 
-    const resetInactivityTimer = (userId) => {
+    const resetInactivityTimer = () => {
         if (inactivityTimer) clearTimeout(inactivityTimer);
         // Only start inactivity timer if user is in a game
-        const userSocket = Array.from(io.sockets.sockets.values()).find(s => s.userId === userId);
-        if (userSocket && userSocket.isInGame) { // isInGame flag set when game starts
+        if (socket.isInGame) { // isInGame flag set when game starts
             inactivityTimer = setTimeout(async () => {
                 try {
                     const user = await User.findById(userId);
                     if (!user) return;
 
-                    user.warningCount = (user.warningCount || 0) + 1;
-                    if (user.warningCount >= MAX_WARNINGS) {
-                        user.penaltyEndTime = new Date(Date.now() + PENALTY_DURATION_MS);
-                        user.warningCount = 0; // Reset warnings after penalty
-                        io.to(userSocket.id).emit('penaltyApplied', { duration: PENALTY_DURATION_MS });
+                    if (user.addWarning()) {
+                        io.to(userRoom(userId)).emit('penaltyApplied', { duration: PENALTY_DURATION_MS });
                         // Force user out of game if penalized while in one
-                        const currentLobby = await Lobby.findOne({ 'players.id': userId, gameStarted: true });
+                        const currentLobby = await Lobby.findOne({ 'players.id': userId, gameStarted: true }).select('lobbyId gameId');
                         if (currentLobby) {
-                            currentLobby.players = currentLobby.players.filter(p => p.id !== userId);
-                             if (currentLobby.players.filter(p => p.type === 'human').length === 0) {
-                                await Lobby.deleteOne({ _id: currentLobby._id });
-                                io.emit('lobbyDeleted', currentLobby.lobbyId);
-                            } else {
-                                await currentLobby.save();
-                                io.to(currentLobby.lobbyId).emit('lobbyUpdated', currentLobby);
-                            }
-                            io.to(userSocket.id).emit('kickedFromGame', { reason: 'inactivity' });
+                            // A forfeit, so the game goes on (or ends) properly without them
+                            await forfeitPlayer(currentLobby.lobbyId, currentLobby.gameId, userId, 'inactive');
+                            io.to(userRoom(userId)).emit('kickedFromGame', { reason: 'inactivity' });
                         }
                     } else {
-                        io.to(userSocket.id).emit('inactivityWarning', { warningCount: user.warningCount, maxWarnings: MAX_WARNINGS });
+                        io.to(userRoom(userId)).emit('inactivityWarning', { warningCount: user.warningCount, maxWarnings: MAX_WARNINGS });
                     }
                     await user.save();
                 } catch (error) {
@@ -120,28 +176,29 @@ io.on('connection', (socket) => {
     };
 
     // Listen for client-side activity events to reset timer
-    socket.on('activity', (userId) => {
-        resetInactivityTimer(userId);
+    socket.on('activity', () => {
+        resetInactivityTimer();
     });
 
     // Set isInGame flag when a user enters a game
-    socket.on('userEnteredGame', (userId) => {
-        socket.userId = userId; // Associate socket with user ID
+    socket.on('userEnteredGame', () => {
         socket.isInGame = true;
-        resetInactivityTimer(userId); // Start tracking inactivity
+        resetInactivityTimer(); // Start tracking inactivity
+        presence.refreshPresence(userId);
     });
 
     // Clear isInGame flag when a user leaves a game
     socket.on('userLeftGame', () => {
         socket.isInGame = false;
         if (inactivityTimer) clearTimeout(inactivityTimer);
+        presence.refreshPresence(userId);
     });
 
 
     socket.on('disconnect', () => {
         console.log('User disconnected:', socket.id);
         if (inactivityTimer) clearTimeout(inactivityTimer);
-        // Handle user leaving lobbies on disconnect (optional, can be complex)
+        // Seats in running games are kept for a grace period, see services/presence.js
     });
 });
 
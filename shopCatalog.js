@@ -0,0 +1,38 @@
+// config/shopCatalog.js
+// Items sold in the shop. Titles are permanent and go into User.inventory; abilities are
+// consumables counted in User.consumables and brought into games through a lobby loadout.
+//
+// Ability `use`:
+//   with-answer - declared when submitting an answer and spent with it (Double Points, Shield)
+//   instant     - spent on its own during your turn (Hint)
+const MAX_CONSUMABLE_STACK = 99; // Max quantity of one ability a user can hold
+const MAX_LOADOUT_PER_ITEM = 3; // Max uses of one ability per game
+
+const shopItems = [
+    { id: 'title_master_coder', name: 'Master Coder', price: 1000, category: 'title', description: 'A prestigious title for skilled programmers.' },
+    { id: 'title_bug_hunter', name: 'Bug Hunter', price: 500, category: 'title', description: 'Show off your debugging prowess.' },
+    { id: 'ability_double_points', name: 'Double Points', price: 200, category: 'ability', use: 'with-answer', description: 'Earn double points if your answer is correct.' },
+    { id: 'ability_shield', name: 'Shield', price: 150, category: 'ability', use: 'with-answer', description: 'Block one incorrect answer without losing a life.' },
+    { id: 'title_algo_architect', name: 'Algo Architect', price: 1200, category: 'title', description: 'For those who build elegant algorithms.' },
+    { id: 'ability_hint', name: 'Hint', price: 75, category: 'ability', use: 'instant', description: 'Get a small hint for the current question.' }
+];
+
+// Titles that are never sold, only granted (season rewards, see config/seasonTiers.js)
+const exclusiveTitles = [
+    { id: 'title_season_platinum', name: 'Platinum Contender', category: 'title', description: 'Finished a ranked season in Platinum or higher.' },
+    { id: 'title_season_diamond', name: 'Diamond Mind', category: 'title', description: 'Finished a ranked season in Diamond or higher.' },
+    { id: 'title_season_master', name: 'Season Master', category: 'title', description: 'Finished a ranked season in Master.' }
+];
+
+const findShopItem = (itemId) => shopItems.find(item => item.id === itemId);
+
+const isConsumable = (item) => !!item && item.category === 'ability';
+
+module.exports = {
+    MAX_CONSUMABLE_STACK,
+    MAX_LOADOUT_PER_ITEM,
+    shopItems,
+    exclusiveTitles,
+    findShopItem,
+    isConsumable
+};
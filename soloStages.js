@@ -0,0 +1,59 @@
+// config/soloStages.js
+// Solo challenge stage catalogue. Stages are played in `order`; a user's soloStage is
+// the order of the next stage they have to clear. Sample tests are shown to the player,
+// hidden tests are only ever run by the evaluator.
+const STARTER_CODE = `#include <iostream>
+
+int main() {
+    // Your code here
+    return 0;
+}`;
+
+module.exports = [
+    {
+        id: 'hello-world',
+        order: 0,
+        title: 'Hello, World!',
+        difficulty: 'easy',
+        problem: "Write a C++ program that prints 'Hello, World!' to the console.",
+        starterCode: STARTER_CODE,
+        sampleTests: [
+            { input: '', expectedOutput: 'Hello, World!' }
+        ],
+        hiddenTests: [],
+        rewards: { elo: 75, tokens: 50 }
+    },
+    {
+        id: 'sum-of-two',
+        order: 1,
+        title: 'Sum of Two Integers',
+        difficulty: 'easy',
+        problem: 'Write a C++ program that reads two integers from standard input and prints their sum.',
+        starterCode: STARTER_CODE,
+        sampleTests: [
+            { input: '5 3', expectedOutput: '8' }
+        ],
+        hiddenTests: [
+            { input: '-4 10', expectedOutput: '6' },
+            { input: '1000000 2000000', expectedOutput: '3000000' }
+        ],
+        rewards: { elo: 75, tokens: 50 }
+    },
+    {
+        id: 'factorial',
+        order: 2,
+        title: 'Factorial',
+        difficulty: 'medium',
+        problem: 'Write a C++ program that reads a non-negative integer n (0 <= n <= 10) and prints n! (the factorial of n).',
+        starterCode: STARTER_CODE,
+        sampleTests: [
+            { input: '5', expectedOutput: '120' }
+        ],
+        hiddenTests: [
+            { input: '0', expectedOutput: '1' },
+            { input: '1', expectedOutput: '1' },
+            { input: '10', expectedOutput: '3628800' }
+        ],
+        rewards: { elo: 100, tokens: 75 }
+    }
+];
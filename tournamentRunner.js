@@ -0,0 +1,455 @@
+// services/tournamentRunner.js
+// Runs tournaments on top of ordinary lobbies. When registration closes, players are seeded by
+// Elo and the first round is generated (single elimination or Swiss). Every match gets its own
+// lobby; players check in by readying up there, and whoever is not ready when the check-in
+// window closes forfeits. Results come back through the lobby's 'gameEnded' event (a lobby
+// closed mid-game is a double forfeit), and when a round is complete the next one is
+// generated, until prizes are paid out at the end.
+//
+// Changes to one tournament are applied one at a time (see withTournament), which is enough
+// for a single server instance.
+const mongoose = require('mongoose');
+const { io } = require('../server');
+const Tournament = require('../models/Tournament');
+const User = require('../models/User');
+const TokenTransaction = require('../models/TokenTransaction');
+const { userRoom } = require('../middleware/auth');
+const { Lobby, createTournamentMatchLobby, startLobbyGame, closeLobby, lobbyEvents, lobbyView } = require('../routes/lobby');
+const { singleEliminationFirstRound, singleEliminationRounds, compareStandings, swissRound, matchPoints, defaultSwissRounds } = require('../utils/brackets');
+
+const CHECK_IN_MS = 3 * 60 * 1000; // Time players get to ready up in a match lobby
+const MAX_TIMEOUT_MS = 2 ** 31 - 1; // setTimeout fires immediately for longer delays
+
+// Sockets watching a tournament's bracket
+const tournamentRoom = (tournamentId) => `tournament:${tournamentId}`;
+
+const startTimers = new Map(); // tournamentId -> timer for the end of registration
+const checkInTimers = new Map(); // `${tournamentId}:${matchId}` -> timer
+
+// Run `fn(tournament)` on a freshly loaded tournament after any earlier change to it has finished.
+// Resolves to fn's result, or null if the tournament does not exist.
+const locks = new Map(); // tournamentId -> tail of its queue
+const withTournament = (tournamentId, fn) => {
+    const run = (locks.get(tournamentId) || Promise.resolve()).then(async () => {
+        const tournament = mongoose.isValidObjectId(tournamentId) ? await Tournament.findById(tournamentId) : null;
+        return tournament ? fn(tournament) : null;
+    });
+    const tail = run.catch(() => {});
+    locks.set(tournamentId, tail);
+    tail.then(() => {
+        if (locks.get(tournamentId) === tail) locks.delete(tournamentId);
+    });
+    return run;
+};
+
+const emitTournament = (tournament) => {
+    io.to(tournamentRoom(tournament.id)).emit('tournamentUpdated', tournament);
+};
+
+const findMatch = (tournament, predicate) => {
+    for (const round of tournament.rounds) {
+        const match = round.matches.find(predicate);
+        if (match) return { round, match };
+    }
+    return {};
+};
+
+// ----- Registration -----
+
+const scheduleStart = (tournament) => {
+    clearTimeout(startTimers.get(tournament.id));
+    const delay = Math.max(0, tournament.registrationClosesAt.getTime() - Date.now());
+    startTimers.set(tournament.id, setTimeout(() => {
+        startTimers.delete(tournament.id);
+        if (delay > MAX_TIMEOUT_MS) {
+            withTournament(tournament.id, t => t.status === 'registration' && scheduleStart(t)); // Re-arm in steps
+        } else {
+            startTournament(tournament.id).catch(err => console.error('Error starting tournament:', err.message));
+        }
+    }, Math.min(delay, MAX_TIMEOUT_MS)));
+};
+
+const createTournament = async (fields) => {
+    const tournament = await Tournament.create(fields);
+    scheduleStart(tournament);
+    return tournament;
+};
+
+// Returns { tournament } or { status, msg }
+const register = (tournamentId, userId) => withTournament(tournamentId, async (tournament) => {
+    const now = new Date();
+    if (tournament.status !== 'registration' || now < tournament.registrationOpensAt || now >= tournament.registrationClosesAt) {
+        return { status: 400, msg: 'Registration is not open' };
+    }
+    if (tournament.findParticipant(userId)) return { status: 400, msg: 'You are already registered' };
+    if (tournament.participants.length >= tournament.maxPlayers) return { status: 400, msg: 'The tournament is full' };
+
+    const user = await User.findById(userId);
+    if (!user) return { status: 404, msg: 'User not found' };
+    if (user.isPenalized()) return { status: 403, msg: 'You are penalized and cannot register.' };
+
+    tournament.participants.push({ userId, username: user.username, elo: user.elo });
+    await tournament.save();
+    emitTournament(tournament);
+    return { tournament };
+}).then(result => result || { status: 404, msg: 'Tournament not found' });
+
+const unregister = (tournamentId, userId) => withTournament(tournamentId, async (tournament) => {
+    if (tournament.status !== 'registration') return { status: 400, msg: 'The tournament has already started' };
+    if (!tournament.findParticipant(userId)) return { status: 400, msg: 'You are not registered' };
+
+    tournament.participants = tournament.participants.filter(p => p.userId !== userId);
+    await tournament.save();
+    emitTournament(tournament);
+    return { tournament };
+}).then(result => result || { status: 404, msg: 'Tournament not found' });
+
+// ----- Rounds and matches -----
+
+const clearCheckIn = (tournamentId, matchId) => {
+    const key = `${tournamentId}:${matchId}`;
+    clearTimeout(checkInTimers.get(key));
+    checkInTimers.delete(key);
+};
+
+const scheduleCheckIn = (tournament, match) => {
+    const key = `${tournament.id}:${match.matchId}`;
+    clearTimeout(checkInTimers.get(key));
+    const delay = Math.max(0, match.checkInDeadline.getTime() - Date.now());
+    checkInTimers.set(key, setTimeout(() => {
+        checkInTimers.delete(key);
+        withTournament(tournament.id, t => beginMatch(t, match.lobbyId, { deadlinePassed: true }))
+            .catch(err => console.error('Error closing tournament check-in:', err.message));
+    }, delay));
+};
+
+// Record a finished match. `results` are [{ userId, placement }] of the players who played;
+// everyone else seated in the match forfeited.
+const finishMatch = (tournament, round, match, results) => {
+    const playedIds = results.map(r => r.userId);
+    const forfeitedIds = match.playerIds.filter(id => !playedIds.includes(id));
+    const winner = results.find(r => r.placement === 1);
+    match.status = 'finished';
+    match.results = results;
+    match.forfeitedIds = forfeitedIds;
+    match.winnerId = winner ? winner.userId : null;
+
+    if (tournament.format === 'single-elimination') {
+        match.playerIds.filter(id => id !== match.winnerId).forEach(id => {
+            tournament.findParticipant(id).eliminatedInRound = round.number;
+        });
+    } else {
+        results.forEach(({ userId, placement }) => {
+            tournament.findParticipant(userId).points += matchPoints(placement, match.playerIds.length);
+        });
+        match.playerIds.forEach(id => {
+            const participant = tournament.findParticipant(id);
+            participant.opponents = [...new Set([...participant.opponents, ...match.playerIds.filter(other => other !== id)])];
+        });
+    }
+};
+
+// Seat a match: byes are decided on the spot, real matches get a lobby and a check-in window
+const launchMatch = async (tournament, round, match) => {
+    if (match.playerIds.length < 2) {
+        finishMatch(tournament, round, match, match.playerIds.map(userId => ({ userId, placement: 1 }))); // A bye
+        return;
+    }
+    const users = await User.find({ _id: { $in: match.playerIds } });
+    if (users.length < 2) {
+        finishMatch(tournament, round, match, users.map(user => ({ userId: user.id, placement: 1 }))); // Deleted accounts forfeit
+        return;
+    }
+
+    const lobby = await createTournamentMatchLobby(tournament, round.number, users);
+    match.lobbyId = lobby.lobbyId;
+    match.status = 'check-in';
+    match.checkInDeadline = new Date(Date.now() + CHECK_IN_MS);
+    scheduleCheckIn(tournament, match);
+    users.forEach(user => {
+        io.in(userRoom(user.id)).socketsJoin(lobby.lobbyId);
+        io.to(userRoom(user.id)).emit('tournamentMatchReady', {
+            tournamentId: tournament.id,
+            tournamentName: tournament.name,
+            round: round.number,
+            matchId: match.matchId,
+            lobby: lobbyView(lobby, user.id),
+            checkInDeadline: match.checkInDeadline
+        });
+    });
+};
+
+// Add a round for `groups` (arrays of user IDs) and seat its matches
+const createRound = async (tournament, groups, byeUserId = null) => {
+    const number = tournament.rounds.length + 1;
+    tournament.rounds.push({
+        number,
+        byeUserId,
+        matches: groups.map((playerIds, index) => ({ matchId: `r${number}m${index + 1}`, playerIds }))
+    });
+    if (byeUserId) {
+        const participant = tournament.findParticipant(byeUserId);
+        participant.points += matchPoints(1, tournament.playersPerMatch); // A bye scores as a win
+        participant.byes++;
+    }
+    const round = tournament.currentRound();
+    for (const match of round.matches) {
+        await launchMatch(tournament, round, match);
+    }
+    await tournament.save();
+    emitTournament(tournament);
+    await advanceIfRoundComplete(tournament);
+};
+
+// Final placements and prizes
+const finishTournament = async (tournament) => {
+    let ordered;
+    if (tournament.format === 'single-elimination') {
+        // Champion first, then by how far each player got; players out in the same round tie
+        const finalMatch = tournament.currentRound().matches[0];
+        const reached = (p) => (p.userId === finalMatch.winnerId ? Infinity : p.eliminatedInRound || tournament.rounds.length);
+        ordered = [...tournament.participants].sort((a, b) => reached(b) - reached(a) || a.seed - b.seed);
+        ordered.forEach((participant, index) => {
+            const previous = ordered[index - 1];
+            participant.placement = previous && reached(previous) === reached(participant) ? previous.placement : index + 1;
+        });
+    } else {
+        ordered = [...tournament.participants].sort(compareStandings);
+        ordered.forEach((participant, index) => { participant.placement = index + 1; });
+    }
+
+    ordered.forEach(participant => { participant.prize = tournament.prizes[participant.placement - 1] || 0; });
+    // Finished before anything is paid: a tournament that is still running after a crash
+    // would be finished, and paid, again
+    tournament.status = 'finished';
+    tournament.endedAt = new Date();
+    await tournament.save();
+    emitTournament(tournament);
+    await payPrizes(tournament);
+};
+
+// Pay every prize not paid yet. Each one is marked as soon as it is paid; prizes that fail
+// are retried by resumeTournaments.
+const payPrizes = async (tournament) => {
+    for (const participant of tournament.participants) {
+        if (participant.prize === 0 || participant.prizePaid) continue;
+        try {
+            const user = await User.findById(participant.userId);
+            if (user) await TokenTransaction.saveWithTokens(user, participant.prize, 'tournament-prize', { tournamentId: tournament.id });
+            participant.prizePaid = true; // Deleted accounts are skipped for good
+            await tournament.save();
+        } catch (err) {
+            console.error(`Error paying tournament prize to ${participant.userId}:`, err.message);
+        }
+    }
+};
+
+// Once every match of the current round is finished: close its lobbies and start the
+// next round, or end the tournament
+const advanceIfRoundComplete = async (tournament) => {
+    const round = tournament.currentRound();
+    if (tournament.status !== 'running' || !round || round.matches.some(m => m.status !== 'finished')) return;
+
+    await Promise.all(round.matches.filter(m => m.lobbyId).map(m => closeLobby(m.lobbyId)));
+
+    if (tournament.format === 'single-elimination') {
+        if (round.matches.length === 1) return finishTournament(tournament);
+        const groups = [];
+        for (let i = 0; i < round.matches.length; i += tournament.playersPerMatch) {
+            groups.push(round.matches.slice(i, i + tournament.playersPerMatch).map(m => m.winnerId).filter(Boolean));
+        }
+        return createRound(tournament, groups);
+    }
+
+    tournament.participants.forEach(participant => {
+        participant.buchholz = participant.opponents.reduce((sum, id) => sum + tournament.findParticipant(id).points, 0);
+    });
+    if (tournament.rounds.length >= tournament.totalRounds) return finishTournament(tournament);
+    const { groups, byeUserId } = swissRound(tournament.participants, tournament.playersPerMatch);
+    return createRound(tournament, groups, byeUserId);
+};
+
+// Start a match whose players have all checked in, or close its check-in window. Players who
+// are not ready by then forfeit; if fewer than two are left the match is decided without a game.
+const beginMatch = async (tournament, lobbyId, { deadlinePassed = false } = {}) => {
+    const { round, match } = findMatch(tournament, m => m.lobbyId === lobbyId);
+    if (!match || match.status !== 'check-in') return;
+
+    const lobby = await Lobby.findOne({ lobbyId });
+    const present = lobby ? lobby.players.filter(p => p.isReady && match.playerIds.includes(p.id)) : [];
+    if (!deadlinePassed && (!lobby || present.length < match.playerIds.length)) return; // Still waiting
+    clearCheckIn(tournament.id, match.matchId);
+
+    if (present.length >= 2) {
+        lobby.players = lobby.players.filter(p => present.includes(p));
+        lobby.maxPlayers = lobby.players.length;
+        const { error } = await startLobbyGame(lobby);
+        if (!error) {
+            match.status = 'running';
+            match.forfeitedIds = match.playerIds.filter(id => !present.some(p => p.id === id));
+            await tournament.save();
+            emitTournament(tournament);
+            return;
+        }
+        // Nothing to play: the question bank no longer matches the settings. Highest seed goes through.
+        console.error(`Tournament ${tournament.id} match ${match.matchId}: ${error}`);
+        present.sort((a, b) => tournament.findParticipant(a.id).seed - tournament.findParticipant(b.id).seed);
+    }
+
+    finishMatch(tournament, round, match, present.slice(0, 1).map(p => ({ userId: p.id, placement: 1 })));
+    await tournament.save();
+    emitTournament(tournament);
+    await advanceIfRoundComplete(tournament);
+};
+
+// A match lobby's game ended: take the standings from the lobby's results
+const recordMatchResult = async (tournament, lobby) => {
+    const { round, match } = findMatch(tournament, m => m.lobbyId === lobby.lobbyId);
+    if (!match || match.status !== 'running') return;
+
+    const results = lobby.results
+        .filter(r => match.playerIds.includes(r.id))
+        .map(r => ({ userId: r.id, placement: r.placement }));
+    finishMatch(tournament, round, match, results);
+    await tournament.save();
+    emitTournament(tournament);
+    await advanceIfRoundComplete(tournament);
+};
+
+// A running match's lobby was closed before the game ended (every player left): a double forfeit
+const abandonMatch = async (tournament, lobbyId) => {
+    if (tournament.status !== 'running') return;
+    const { round, match } = findMatch(tournament, m => m.lobbyId === lobbyId);
+    if (!match || match.status !== 'running') return;
+
+    finishMatch(tournament, round, match, []);
+    await tournament.save();
+    emitTournament(tournament);
+    await advanceIfRoundComplete(tournament);
+};
+
+// Close registration, seed the players by current Elo and generate the first round
+const startTournament = (tournamentId) => withTournament(tournamentId, async (tournament) => {
+    if (tournament.status !== 'registration') return tournament;
+    clearTimeout(startTimers.get(tournament.id));
+    startTimers.delete(tournament.id);
+
+    const users = await User.find({ _id: { $in: tournament.participants.map(p => p.userId) } }).select('elo');
+    const eloById = new Map(users.map(u => [u.id, u.elo]));
+    tournament.participants = tournament.participants.filter(p => eloById.has(p.userId)); // Deleted accounts
+    if (tournament.participants.length < Math.max(2, tournament.minPlayers)) {
+        tournament.status = 'cancelled';
+        tournament.endedAt = new Date();
+        await tournament.save();
+        emitTournament(tournament);
+        return tournament;
+    }
+
+    tournament.participants.forEach(p => { p.elo = eloById.get(p.userId); });
+    tournament.participants = [...tournament.participants].sort((a, b) => b.elo - a.elo);
+    tournament.participants.forEach((p, index) => { p.seed = index + 1; });
+    tournament.status = 'running';
+    tournament.startedAt = new Date();
+
+    if (tournament.format === 'single-elimination') {
+        const groups = singleEliminationFirstRound(tournament.participants, tournament.playersPerMatch);
+        tournament.totalRounds = singleEliminationRounds(groups.length, tournament.playersPerMatch);
+        await createRound(tournament, groups);
+    } else {
+        tournament.totalRounds = tournament.swissRounds || defaultSwissRounds(tournament.participants.length);
+        const { groups, byeUserId } = swissRound(tournament.participants, tournament.playersPerMatch);
+        await createRound(tournament, groups, byeUserId);
+    }
+    return tournament;
+});
+
+const cancelTournament = (tournamentId) => withTournament(tournamentId, async (tournament) => {
+    if (!['registration', 'running'].includes(tournament.status)) return { status: 400, msg: 'The tournament is already over' };
+    clearTimeout(startTimers.get(tournament.id));
+    startTimers.delete(tournament.id);
+    const round = tournament.currentRound();
+    if (round) {
+        const open = round.matches.filter(m => m.lobbyId && m.status !== 'finished');
+        open.forEach(m => clearCheckIn(tournament.id, m.matchId));
+        await Promise.all(open.map(m => closeLobby(m.lobbyId)));
+    }
+    tournament.status = 'cancelled';
+    tournament.endedAt = new Date();
+    await tournament.save();
+    emitTournament(tournament);
+    return { tournament };
+}).then(result => result || { status: 404, msg: 'Tournament not found' });
+
+// ----- Lobby hooks -----
+
+lobbyEvents.on('readyChanged', (lobby) => {
+    if (!lobby.tournamentId || !lobby.players.every(p => p.isReady)) return;
+    withTournament(lobby.tournamentId, t => beginMatch(t, lobby.lobbyId))
+        .catch(err => console.error('Error starting tournament match:', err.message));
+});
+
+lobbyEvents.on('gameEnded', (lobby) => {
+    if (!lobby.tournamentId) return;
+    withTournament(lobby.tournamentId, t => recordMatchResult(t, lobby))
+        .catch(err => console.error('Error recording tournament match:', err.message));
+});
+
+lobbyEvents.on('lobbyClosed', (lobby) => {
+    if (!lobby.tournamentId) return;
+    withTournament(lobby.tournamentId, t => abandonMatch(t, lobby.lobbyId))
+        .catch(err => console.error('Error closing tournament match:', err.message));
+});
+
+// Re-arm timers after a restart, and catch up on anything that happened while it was down
+const resumeTournaments = async () => {
+    const unpaid = await Tournament.find({ status: 'finished', participants: { $elemMatch: { prize: { $gt: 0 }, prizePaid: false } } }).select('_id');
+    for (const { id } of unpaid) {
+        await withTournament(id, payPrizes).catch(err => console.error(`Error paying prizes of tournament ${id}:`, err.message));
+    }
+
+    const tournaments = await Tournament.find({ status: { $in: ['registration', 'running'] } }).select('_id status registrationClosesAt');
+    for (const { id, status } of tournaments) {
+        await withTournament(id, async (tournament) => {
+            if (status === 'registration') return scheduleStart(tournament);
+            const round = tournament.currentRound();
+            for (const match of round.matches) {
+                if (match.status === 'pending') {
+                    await launchMatch(tournament, round, match);
+                } else if (match.status === 'check-in') {
+                    scheduleCheckIn(tournament, match);
+                } else if (match.status === 'running') {
+                    const lobby = await Lobby.findOne({ lobbyId: match.lobbyId });
+                    if (!lobby) {
+                        finishMatch(tournament, round, match, []); // Lost with its lobby
+                    } else if (!lobby.gameStarted && lobby.results.length > 0) {
+                        finishMatch(tournament, round, match, lobby.results
+                            .filter(r => match.playerIds.includes(r.id))
+                            .map(r => ({ userId: r.id, placement: r.placement })));
+                    }
+                }
+            }
+            await tournament.save();
+            await advanceIfRoundComplete(tournament);
+        }).catch(err => console.error(`Error resuming tournament ${id}:`, err.message));
+    }
+};
+
+// Watching a bracket needs no membership: brackets are public
+const registerSocket = (socket) => {
+    socket.on('watchTournament', (tournamentId) => {
+        socket.join(tournamentRoom(String(tournamentId)));
+    });
+    socket.on('unwatchTournament', (tournamentId) => {
+        socket.leave(tournamentRoom(String(tournamentId)));
+    });
+};
+
+module.exports = {
+    createTournament,
+    register,
+    unregister,
+    startTournament,
+    cancelTournament,
+    resumeTournaments,
+    registerSocket
+};
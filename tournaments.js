@@ -0,0 +1,232 @@
+// routes/tournaments.js
+// Tournaments: staff create them, players register during the registration window, and
+// services/tournamentRunner.js runs the bracket. Bracket changes are also pushed over
+// Socket.IO ('tournamentUpdated') to sockets that sent 'watchTournament'.
+const express = require('express');
+const router = express.Router();
+const Tournament = require('../models/Tournament');
+const Question = require('../models/Question');
+const AuditLog = require('../models/AuditLog');
+const { auth, requireModerator } = require('../middleware/auth');
+const { lobbySettingRanges } = require('../routes/lobby');
+const { createTournament, register, unregister, startTournament, cancelTournament } = require('../services/tournamentRunner');
+
+const MAX_PAGE_SIZE = 50;
+const MAX_TOURNAMENT_PLAYERS = 256;
+const MAX_PRIZE = 100000;
+const MAX_SWISS_ROUNDS = 15;
+const SINGLE_ELIMINATION_GROUP_SIZES = [2, 4, 8]; // The bracket halves (or quarters...) every round
+
+const isIntegerInRange = (value, [min, max]) => Number.isInteger(value) && value >= min && value <= max;
+
+// Validate a create request. Returns { fields } or { error }.
+const normalizeTournamentInput = (body) => {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > 60) return { error: 'name must be 1-60 characters' };
+    if (!Tournament.TOURNAMENT_MODES.includes(body.mode)) {
+        return { error: `mode must be one of: ${Tournament.TOURNAMENT_MODES.join(', ')}` };
+    }
+    if (!Tournament.TOURNAMENT_FORMATS.includes(body.format)) {
+        return { error: `format must be one of: ${Tournament.TOURNAMENT_FORMATS.join(', ')}` };
+    }
+
+    let playersPerMatch = 2;
+    if (body.mode === 'free-for-all-qna' && body.playersPerMatch !== undefined) {
+        playersPerMatch = body.playersPerMatch;
+        if (!isIntegerInRange(playersPerMatch, lobbySettingRanges.playersPerMatch)) {
+            return { error: `playersPerMatch must be from ${lobbySettingRanges.playersPerMatch[0]} to ${lobbySettingRanges.playersPerMatch[1]}` };
+        }
+        if (body.format === 'single-elimination' && !SINGLE_ELIMINATION_GROUP_SIZES.includes(playersPerMatch)) {
+            return { error: `Single elimination needs ${SINGLE_ELIMINATION_GROUP_SIZES.join(', ')} players per match` };
+        }
+    }
+    let swissRounds = null;
+    if (body.format === 'swiss' && body.swissRounds !== undefined && body.swissRounds !== null) {
+        swissRounds = body.swissRounds;
+        if (!isIntegerInRange(swissRounds, [1, MAX_SWISS_ROUNDS])) return { error: `swissRounds must be from 1 to ${MAX_SWISS_ROUNDS}` };
+    }
+
+    const settings = body.settings || {};
+    const { initialLives = 3, questionTimer = 30, questionCount = 30 } = settings;
+    if (!isIntegerInRange(initialLives, lobbySettingRanges.initialLives)) {
+        return { error: `initialLives must be from ${lobbySettingRanges.initialLives[0]} to ${lobbySettingRanges.initialLives[1]}` };
+    }
+    if (!isIntegerInRange(questionTimer, lobbySettingRanges.questionTimer)) {
+        return { error: `questionTimer must be from ${lobbySettingRanges.questionTimer[0]} to ${lobbySettingRanges.questionTimer[1]} seconds` };
+    }
+    if (!isIntegerInRange(questionCount, lobbySettingRanges.questionCount)) {
+        return { error: `questionCount must be from ${lobbySettingRanges.questionCount[0]} to ${lobbySettingRanges.questionCount[1]}` };
+    }
+    if (settings.questionDifficulty && !Question.DIFFICULTIES.includes(settings.questionDifficulty)) {
+        return { error: `questionDifficulty must be one of: ${Question.DIFFICULTIES.join(', ')}` };
+    }
+
+    const registrationOpensAt = body.registrationOpensAt ? new Date(body.registrationOpensAt) : new Date();
+    const registrationClosesAt = new Date(body.registrationClosesAt);
+    if (isNaN(registrationOpensAt.getTime()) || isNaN(registrationClosesAt.getTime())) {
+        return { error: 'registrationOpensAt and registrationClosesAt must be dates' };
+    }
+    if (registrationClosesAt <= registrationOpensAt || registrationClosesAt <= new Date()) {
+        return { error: 'registrationClosesAt must be in the future and after registrationOpensAt' };
+    }
+
+    const minPlayers = body.minPlayers === undefined ? 2 : body.minPlayers;
+    const maxPlayers = body.maxPlayers === undefined ? 64 : body.maxPlayers;
+    if (!isIntegerInRange(minPlayers, [2, MAX_TOURNAMENT_PLAYERS]) || !isIntegerInRange(maxPlayers, [minPlayers, MAX_TOURNAMENT_PLAYERS])) {
+        return { error: `minPlayers and maxPlayers must be from 2 to ${MAX_TOURNAMENT_PLAYERS}, minPlayers first` };
+    }
+    const prizes = body.prizes === undefined ? [] : body.prizes;
+    if (!Array.isArray(prizes) || prizes.length > maxPlayers || !prizes.every(p => isIntegerInRange(p, [0, MAX_PRIZE]))) {
+        return { error: `prizes must be a list of token amounts (0-${MAX_PRIZE}) by placement` };
+    }
+
+    return {
+        fields: {
+            name,
+            mode: body.mode,
+            format: body.format,
+            playersPerMatch,
+            swissRounds,
+            settings: {
+                isFrenzyMode: !!settings.isFrenzyMode,
+                initialLives,
+                questionTimer,
+                questionCount,
+                questionCategory: settings.questionCategory ? String(settings.questionCategory).toLowerCase() : null,
+                questionDifficulty: settings.questionDifficulty || null
+            },
+            registrationOpensAt,
+            registrationClosesAt,
+            minPlayers,
+            maxPlayers,
+            prizes
+        }
+    };
+};
+
+// @route   GET /api/tournaments
+// @desc    Tournaments, soonest first (?status=registration|running|finished|cancelled)
+// @access  Public
+router.get('/', async (req, res) => {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || 20));
+    try {
+        const filter = {};
+        if (req.query.status) filter.status = String(req.query.status);
+        const [tournaments, total] = await Promise.all([
+            Tournament.find(filter).select('-rounds').sort({ registrationClosesAt: filter.status === 'finished' ? -1 : 1 })
+                .skip((page - 1) * limit).limit(limit),
+            Tournament.countDocuments(filter)
+        ]);
+        res.json({ tournaments, total, page, limit });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   GET /api/tournaments/:id
+// @desc    A tournament with its participants and full bracket
+// @access  Public
+router.get('/:id', async (req, res) => {
+    try {
+        const tournament = await Tournament.findById(req.params.id);
+        if (!tournament) return res.status(404).json({ msg: 'Tournament not found' });
+        res.json(tournament);
+    } catch (err) {
+        if (err.name === 'CastError') return res.status(404).json({ msg: 'Tournament not found' });
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/tournaments
+// @desc    Create a tournament: { name, mode, format, playersPerMatch, swissRounds, settings,
+//          registrationOpensAt, registrationClosesAt, minPlayers, maxPlayers, prizes }
+// @access  Moderator
+router.post('/', auth, requireModerator, async (req, res) => {
+    const { fields, error } = normalizeTournamentInput(req.body);
+    if (error) return res.status(400).json({ msg: error });
+
+    try {
+        const questionFilter = { type: fields.mode.includes('fill-in-blanks') ? 'fill-in-blanks' : 'qna', active: true };
+        if (fields.settings.questionCategory) questionFilter.category = fields.settings.questionCategory;
+        if (fields.settings.questionDifficulty) questionFilter.difficulty = fields.settings.questionDifficulty;
+        if (!(await Question.exists(questionFilter))) {
+            return res.status(400).json({ msg: 'No questions match these question settings' });
+        }
+
+        const tournament = await createTournament({ ...fields, createdBy: req.user.id });
+        await AuditLog.record(req, { action: 'tournament.create', targetType: 'tournament', targetId: tournament.id, details: fields });
+        res.status(201).json(tournament);
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/tournaments/:id/register
+// @desc    Register for a tournament while registration is open
+// @access  Private
+router.post('/:id/register', auth, async (req, res) => {
+    try {
+        const { tournament, status, msg } = await register(req.params.id, req.user.id);
+        if (!tournament) return res.status(status).json({ msg });
+        res.json({ msg: `Registered for ${tournament.name}`, tournament });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   DELETE /api/tournaments/:id/register
+// @desc    Withdraw before the tournament starts
+// @access  Private
+router.delete('/:id/register', auth, async (req, res) => {
+    try {
+        const { tournament, status, msg } = await unregister(req.params.id, req.user.id);
+        if (!tournament) return res.status(status).json({ msg });
+        res.json({ msg: `Withdrew from ${tournament.name}`, tournament });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/tournaments/:id/start
+// @desc    Close registration early and start the tournament
+// @access  Moderator
+router.post('/:id/start', auth, requireModerator, async (req, res) => {
+    try {
+        const tournament = await startTournament(req.params.id);
+        if (!tournament) return res.status(404).json({ msg: 'Tournament not found' });
+        if (tournament.status !== 'running') {
+            return res.status(400).json({ msg: `The tournament is ${tournament.status}`, tournament });
+        }
+        await AuditLog.record(req, { action: 'tournament.start', targetType: 'tournament', targetId: tournament.id, details: { players: tournament.participants.length } });
+        res.json({ msg: `${tournament.name} started`, tournament });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/tournaments/:id/cancel
+// @desc    Cancel a tournament that has not finished; open match lobbies are closed: { reason }
+// @access  Moderator
+router.post('/:id/cancel', auth, requireModerator, async (req, res) => {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) return res.status(400).json({ msg: 'A reason is required' });
+
+    try {
+        const { tournament, status, msg } = await cancelTournament(req.params.id);
+        if (!tournament) return res.status(status).json({ msg });
+        await AuditLog.record(req, { action: 'tournament.cancel', targetType: 'tournament', targetId: tournament.id, reason });
+        res.json({ msg: `${tournament.name} cancelled`, tournament });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server error');
+    }
+});
+
+module.exports = router;
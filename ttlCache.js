@@ -0,0 +1,37 @@
+// utils/ttlCache.js
+// In-memory cache whose entries expire `ttlMs` after they are stored. State is per process,
+// like utils/rateLimit.js. Once `maxEntries` is reached the oldest entry is dropped.
+const createTtlCache = ({ ttlMs, maxEntries = 500 }) => {
+    const entries = new Map(); // key -> { value, expiresAt }, in insertion order
+
+    const get = (key) => {
+        const entry = entries.get(key);
+        if (!entry) return undefined;
+        if (Date.now() >= entry.expiresAt) {
+            entries.delete(key);
+            return undefined;
+        }
+        return entry.value;
+    };
+
+    const set = (key, value) => {
+        entries.delete(key);
+        if (entries.size >= maxEntries) entries.delete(entries.keys().next().value);
+        entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    };
+
+    // Cached value for `key`, or the result of `load()` (which is then cached)
+    const wrap = async (key, load) => {
+        const cached = get(key);
+        if (cached !== undefined) return cached;
+        const value = await load();
+        set(key, value);
+        return value;
+    };
+
+    const clear = () => entries.clear();
+
+    return { get, set, wrap, clear };
+};
+
+module.exports = { createTtlCache };
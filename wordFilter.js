@@ -0,0 +1,18 @@
+// utils/wordFilter.js
+// Masks blocked words in chat messages. Words match whole and case-insensitively, plus a
+// plural "s"/"es"; a masked word keeps its first letter, e.g. "heck" -> "h***".
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const createWordFilter = (words) => {
+    const list = [...new Set(words.map(w => String(w).trim().toLowerCase()).filter(Boolean))]
+        .sort((a, b) => b.length - a.length); // Longest first, so "fucker" wins over "fuck"
+    if (list.length === 0) return { mask: (text) => text };
+
+    const pattern = new RegExp(`\\b(?:${list.map(escapeRegex).join('|')})(?:e?s)?\\b`, 'gi');
+
+    const mask = (text) => text.replace(pattern, word => word[0] + '*'.repeat(word.length - 1));
+
+    return { mask };
+};
+
+module.exports = { createWordFilter };